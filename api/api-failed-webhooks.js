@@ -1,11 +1,20 @@
 /**
  * Failed Webhooks API
  * 
- * @version 1.0.0
+ * @version 1.1.1
  * @description View and retry failed webhooks
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.1.1:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ * 
+ * CHANGELOG v1.1.0:
+ * - WooCommerce retries are signed with the active webhook secret
+ * - Added ?rejected=1 to list deliveries rejected by signature validation
  * 
  * Endpoints:
  *   GET  /api/failed-webhooks           - List all failed webhooks
+ *   GET  /api/failed-webhooks?rejected=1 - List rejected (bad signature) deliveries
  *   GET  /api/failed-webhooks?id=xxx    - Get specific failed webhook
  *   POST /api/failed-webhooks?id=xxx    - Retry a failed webhook
  *   DELETE /api/failed-webhooks?id=xxx  - Delete a failed webhook
@@ -19,24 +28,35 @@ import {
   deleteFailedWebhook,
   clearAllFailedWebhooks 
 } from '../lib/failed-webhooks.js';
+import { getRejectedWebhooks } from '../lib/webhook-audit.js';
+import { getActiveWebhookSecrets, signWooCommercePayload } from '../lib/validate-webhook.js';
 
 export default async function handler(req, res) {
   // Simple auth check - require a secret header
   const authHeader = req.headers['x-admin-secret'];
-  const expectedSecret = process.env.ADMIN_SECRET || 'basler-admin-2026';
+  const expectedSecret = process.env.ADMIN_SECRET;
   
-  if (authHeader !== expectedSecret) {
+  if (!expectedSecret || authHeader !== expectedSecret) {
     return res.status(401).json({ 
       error: 'Unauthorized',
       hint: 'Include x-admin-secret header'
     });
   }
 
-  const { id, all } = req.query;
+  const { id, all, rejected } = req.query;
 
   try {
     // GET - List or retrieve
     if (req.method === 'GET') {
+      if (rejected === '1' || rejected === 'true') {
+        // Audit log of deliveries rejected by signature validation
+        const rejections = await getRejectedWebhooks(50);
+        return res.status(200).json({
+          count: rejections.length,
+          rejected: rejections
+        });
+      }
+
       if (id) {
         // Get specific webhook
         const webhook = await getFailedWebhook(id);
@@ -85,14 +105,26 @@ export default async function handler(req, res) {
 
       console.log(`🔄 Retrying webhook ${id} to ${endpoint}...`);
 
+      const body = JSON.stringify(webhook.payload);
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Retry-Webhook': id // Mark as retry to prevent re-logging on failure
+      };
+
+      // WooCommerce endpoint verifies signatures - sign with the newest active secret
+      if (webhook.source === 'woocommerce') {
+        const [secret] = getActiveWebhookSecrets();
+        if (!secret) {
+          return res.status(500).json({ error: 'No webhook secret configured to sign retry' });
+        }
+        headers['X-WC-Webhook-Signature'] = signWooCommercePayload(body, secret);
+      }
+
       // Replay the webhook
       const retryResponse = await fetch(`${baseUrl}${endpoint}`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Retry-Webhook': id // Mark as retry to prevent re-logging on failure
-        },
-        body: JSON.stringify(webhook.payload)
+        headers,
+        body
       });
 
       const retryResult = await retryResponse.text();
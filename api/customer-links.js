@@ -0,0 +1,127 @@
+/**
+ * Customer Links API
+ *
+ * @version 1.0.1
+ * @description View and manage the source customer → QuickBooks customer link table
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * Endpoints:
+ *   GET    /api/customer-links                              - List links (?source=, ?qbCustomerId= to filter)
+ *   GET    /api/customer-links?source=woocommerce&id=42     - Get one link
+ *   POST   /api/customer-links?source=ycbm&id=a@b.com&qbCustomerId=123
+ *                                                           - Link (or re-link) an identity to a QB customer
+ *   DELETE /api/customer-links?source=ids&id=a@b.com        - Unlink an identity
+ *
+ * POST parameters may also be sent as a JSON body: { source, id, qbCustomerId }
+ * Sources: woocommerce (customer_id), ycbm (booking email), ids (leader email)
+ */
+
+import {
+  LINK_SOURCES,
+  customerIdentity,
+  getCustomerLink,
+  linkCustomer,
+  unlinkCustomer,
+  listCustomerLinks
+} from '../lib/customer-links.js';
+import { getQBClient, getCustomer } from '../lib/quickbooks.js';
+
+export default async function handler(req, res) {
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  const params = { ...(req.body && typeof req.body === 'object' ? req.body : {}), ...req.query };
+  const { source, id, qbCustomerId } = params;
+
+  if (source && !LINK_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Invalid source - use one of: ${LINK_SOURCES.join(', ')}` });
+  }
+
+  try {
+    // GET - List or retrieve
+    if (req.method === 'GET') {
+      if (source && id) {
+        const link = await getCustomerLink(customerIdentity(source, id));
+        if (!link) {
+          return res.status(404).json({ error: 'Not linked' });
+        }
+        return res.status(200).json(link);
+      }
+
+      const links = await listCustomerLinks({
+        limit: parseInt(params.limit, 10) || 100,
+        source: source || null,
+        qbCustomerId: qbCustomerId || null
+      });
+      return res.status(200).json({
+        count: links.length,
+        links
+      });
+    }
+
+    const identity = source && id ? customerIdentity(source, id) : null;
+    if (!identity) {
+      return res.status(400).json({ error: 'Missing source or id parameter' });
+    }
+
+    // POST - Link identity to a QB customer
+    if (req.method === 'POST') {
+      if (!qbCustomerId) {
+        return res.status(400).json({ error: 'Missing qbCustomerId parameter' });
+      }
+
+      // Make sure the customer exists before pointing future syncs at it
+      const qb = await getQBClient();
+      let customer;
+      try {
+        customer = await getCustomer(qb, qbCustomerId);
+      } catch (error) {
+        return res.status(404).json({ error: `QuickBooks customer ${qbCustomerId} not found` });
+      }
+
+      const previous = await getCustomerLink(identity);
+      const link = await linkCustomer(identity, customer.Id, {
+        displayName: customer.DisplayName,
+        linkedBy: 'admin'
+      });
+
+      return res.status(200).json({
+        success: true,
+        link,
+        previousQbCustomerId: previous?.qbCustomerId || null
+      });
+    }
+
+    // DELETE - Unlink
+    if (req.method === 'DELETE') {
+      const removed = await unlinkCustomer(identity);
+      if (!removed) {
+        return res.status(404).json({ error: 'Not linked' });
+      }
+      return res.status(200).json({
+        success: true,
+        message: `Unlinked ${identity.source}:${identity.externalId}`
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Customer links API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
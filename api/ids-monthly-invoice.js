@@ -14,9 +14,26 @@
  *   - QB_* variables: QuickBooks OAuth (existing)
  *   - QB_ITEM_FULL_ASSESSMENT: QB Item ID for Full Assessment
  *   - QB_ITEM_INTERVIEW: QB Item ID for Interview Assessment
+ *   - QB_DOCNUMBER_TEMPLATES: Optional, invoice numbering (default IDS-{yyyymm}-{seq})
+ * 
+ * Each invoice gets a JSON snapshot of the leader's billable links attached
+ * in QuickBooks (QB_ATTACH_SNAPSHOTS=off to disable).
+ * 
+ * Line prices are the QB items' sales prices; a leader whose item price
+ * can't be read is reported as failed rather than invoiced at $0.
+ * 
+ * Invoices are dated the last day of the billing month (due per
+ * QB_INVOICE_TERMS_DAYS, default 30), whenever the cron or a retry runs.
+ * 
+ * Re-running a live month is safe: a leader's customer that already has an
+ * invoice for the month (memo "Assessment usage for YYYY-MM: ...") is reported
+ * as "existing", even if the leader's link list has changed since.
  */
 
-import { getQBClient, findOrCreateCustomer, createInvoice } from '../lib/quickbooks.js';
+import { getQBClient, findOrCreateCustomer, createInvoice, findInvoices, getItem } from '../lib/quickbooks.js';
+import { assignDocNumber } from '../lib/doc-numbers.js';
+import { getInvoiceTerms } from '../lib/txn-dates.js';
+import { buildSourceSnapshot, attachSourceSnapshot } from '../lib/source-snapshot.js';
 import { 
   getAccountActivityReport, 
   getLinkDetails, 
@@ -24,6 +41,7 @@ import {
   calculateBillable 
 } from '../lib/ids-api.js';
 import { sendBillingReport } from '../lib/email-report.js';
+import { customerIdentity } from '../lib/customer-links.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -276,7 +294,7 @@ export default async function handler(req, res) {
             email,
             firstName: data.displayName.split(' ')[0],
             lastName: data.displayName.split(' ').slice(1).join(' ') || ''
-          });
+          }, customerIdentity('ids', email));
 
           // Build line items
           const lineItems = [];
@@ -298,25 +316,62 @@ export default async function handler(req, res) {
           }
 
           // Build memo with link names
-          const memo = `Assessment usage for ${targetMonth}: ${data.linkNames.join(', ')}`;
+          const memo = `${monthMemoPrefix(targetMonth)} ${data.linkNames.join(', ')}`;
+
+          // One invoice per customer per month - the link list may differ on a re-run
+          const existing = await findLeaderInvoice(qb, customer.Id, targetMonth, startDate);
+          if (existing) {
+            console.log(`   ⏭️ Invoice #${existing.DocNumber || existing.Id} already exists for ${targetMonth} - skipping`);
+            invoiceResults.push({
+              email,
+              name: data.displayName,
+              invoiceId: existing.Id,
+              invoiceNumber: existing.DocNumber,
+              total: existing.TotalAmt,
+              status: 'existing'
+            });
+            continue;
+          }
+
+          const numbering = await assignDocNumber(qb, {
+            source: 'ids',
+            entityType: 'Invoice',
+            values: { date: startDate }
+          });
 
           // Create invoice
           const invoice = await createInvoice(qb, {
-            customerId: customer.Id,
-            lineItems,
-            memo,
-            dueDate: calculateDueDate(30)
+            CustomerRef: { value: String(customer.Id) },
+            BillEmail: { Address: email },
+            Line: await buildInvoiceLines(qb, lineItems),
+            PrivateNote: memo,
+            TxnDate: endDate,
+            ...getInvoiceTerms(endDate),
+            ...(numbering && { DocNumber: numbering.docNumber })
           });
 
           console.log(`   ✅ Invoice #${invoice.DocNumber} created - $${invoice.TotalAmt}`);
           
+          const attachments = await attachSourceSnapshot(qb, buildSourceSnapshot({
+            source: 'ids',
+            sourceId: `${targetMonth}-${email}`,
+            record: {
+              billingMonth: targetMonth,
+              leaderEmail: email,
+              ...data,
+              links: results.processed.filter(link => link.leaderEmail.toLowerCase() === email)
+            },
+            document: { type: 'Invoice', id: invoice.Id, docNumber: invoice.DocNumber }
+          }), [{ type: 'Invoice', id: invoice.Id }]);
+          
           invoiceResults.push({
             email,
             name: data.displayName,
             invoiceId: invoice.Id,
             invoiceNumber: invoice.DocNumber,
             total: invoice.TotalAmt,
-            status: 'created'
+            status: 'created',
+            ...(attachments && { attachments })
           });
 
         } catch (invoiceError) {
@@ -475,11 +530,50 @@ function groupByLeader(processedLinks) {
   return grouped;
 }
 
+function monthMemoPrefix(targetMonth) {
+  return `Assessment usage for ${targetMonth}:`;
+}
+
+/**
+ * The customer's invoice for a billing month, if one was already created
+ * (invoices are created after the month ends, so dated on or after its start)
+ */
+async function findLeaderInvoice(qb, customerId, targetMonth, startDate) {
+  const invoices = await findInvoices(qb, [
+    { field: 'CustomerRef', value: String(customerId), operator: '=' },
+    { field: 'TxnDate', value: startDate, operator: '>=' }
+  ]);
+
+  return invoices.find(invoice => (invoice.PrivateNote || '').startsWith(monthMemoPrefix(targetMonth))) || null;
+}
+
 /**
- * Calculate due date N days from now
+ * QB invoice lines for { itemId, quantity, description } at the item's current price
+ * Throws if an item can't be read or has no price - never invoice at $0
  */
-function calculateDueDate(days) {
-  const date = new Date();
-  date.setDate(date.getDate() + days);
-  return date.toISOString().split('T')[0];
+async function buildInvoiceLines(qb, lineItems) {
+  const lines = [];
+
+  for (const item of lineItems) {
+    const qbItem = await getItem(qb, item.itemId);
+    const unitPrice = parseFloat(qbItem.UnitPrice);
+
+    if (!(unitPrice > 0)) {
+      throw new Error(`QuickBooks item ${item.itemId} (${qbItem.Name || 'unknown'}) has no price - set its sales price`);
+    }
+
+    lines.push({
+      DetailType: 'SalesItemLineDetail',
+      Amount: unitPrice * item.quantity,
+      Description: item.description,
+      SalesItemLineDetail: {
+        ItemRef: { value: String(item.itemId) },
+        Qty: item.quantity,
+        UnitPrice: unitPrice
+      }
+    });
+  }
+
+  return lines;
 }
+
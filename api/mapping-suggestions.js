@@ -0,0 +1,82 @@
+/**
+ * Product Mapping Suggestions API
+ *
+ * @version 1.0.1
+ * @description Compares the WooCommerce catalog with active QuickBooks Items
+ *              and proposes product registry mappings
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * USAGE:
+ *   GET /api/mapping-suggestions                  - All products (variations included)
+ *   GET /api/mapping-suggestions?status=no-match  - Filter: mapped | mismatch | suggested | no-match
+ *   GET /api/mapping-suggestions?variations=0     - Parent products only (faster)
+ *   GET /api/mapping-suggestions?minScore=0.7     - Stricter name matching (default 0.5)
+ *
+ * Apply a suggestion by POSTing its registryEntry to /api/products.
+ */
+
+import { getWooConfigStatus, listWooProducts } from '../lib/woo-api.js';
+import { getQBClient, listItems } from '../lib/quickbooks.js';
+import { loadProductRegistry } from '../lib/product-map.js';
+import { suggestProductMappings } from '../lib/mapping-suggestions.js';
+
+export default async function handler(req, res) {
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  const wooConfig = getWooConfigStatus();
+  if (!wooConfig.configured) {
+    return res.status(500).json({
+      error: 'Missing WooCommerce API configuration',
+      required: wooConfig.missing
+    });
+  }
+
+  const { status, variations, minScore } = req.query;
+
+  try {
+    console.log('🔍 Building product mapping suggestions...');
+
+    await loadProductRegistry({ force: true });
+
+    const wooProducts = await listWooProducts({ includeVariations: variations !== '0' });
+    console.log(`   WooCommerce products: ${wooProducts.length}`);
+
+    const qb = await getQBClient();
+    const qbItems = await listItems(qb);
+    console.log(`   QuickBooks items: ${qbItems.length}`);
+
+    const suggestions = suggestProductMappings(wooProducts, qbItems, {
+      minScore: parseFloat(minScore) || undefined
+    });
+
+    if (status) {
+      suggestions.products = suggestions.products.filter(product => product.status === status);
+    }
+
+    console.log(`✅ Suggestions: ${JSON.stringify(suggestions.summary)}`);
+    return res.status(200).json(suggestions);
+
+  } catch (error) {
+    console.error(`❌ Mapping suggestions failed: ${error.message}`);
+    return res.status(500).json({
+      error: 'Failed to build mapping suggestions',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Product Registry API
+ *
+ * @version 1.0.1
+ * @description Manage WooCommerce product → QuickBooks item mappings
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * Endpoints:
+ *   GET    /api/products            - List active products (?all=1 includes retired)
+ *   GET    /api/products?key=xxx    - Get one product
+ *   POST   /api/products            - Create a product (JSON body)
+ *   PUT    /api/products?key=xxx    - Update a product (JSON body, partial)
+ *   DELETE /api/products?key=xxx    - Retire a product (stops matching, kept for audit)
+ *
+ * Body fields: key, qbItemId, qbItemName, keywords[], sku, productIds[], variationIds[],
+ * defaultPrice, description (PUT also accepts active: true to un-retire)
+ * productIds / variationIds are WooCommerce IDs, matched before SKU and keywords.
+ */
+
+import {
+  loadProductRegistry,
+  getRegisteredProducts,
+  createProduct,
+  updateProduct,
+  retireProduct
+} from '../lib/product-registry.js';
+
+export default async function handler(req, res) {
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  const { key, all } = req.query;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+  try {
+    // GET - List or retrieve
+    if (req.method === 'GET') {
+      await loadProductRegistry({ force: true });
+      const products = getRegisteredProducts({ includeRetired: all === '1' || all === 'true' || !!key });
+
+      if (key) {
+        if (!products[key]) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+        return res.status(200).json(products[key]);
+      }
+
+      return res.status(200).json({
+        count: Object.keys(products).length,
+        products: Object.values(products)
+      });
+    }
+
+    // POST - Create
+    if (req.method === 'POST') {
+      const product = await createProduct(body);
+      return res.status(201).json({ success: true, product });
+    }
+
+    // PUT - Update
+    if (req.method === 'PUT') {
+      if (!key) {
+        return res.status(400).json({ error: 'Missing key parameter' });
+      }
+      const product = await updateProduct(key, body);
+      return res.status(200).json({ success: true, product });
+    }
+
+    // DELETE - Retire
+    if (req.method === 'DELETE') {
+      if (!key) {
+        return res.status(400).json({ error: 'Missing key parameter' });
+      }
+      const product = await retireProduct(key);
+      return res.status(200).json({
+        success: true,
+        message: `Product ${key} retired`,
+        product
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Product registry API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Order Review Queue API
+ *
+ * @version 1.0.2
+ * @description View, release and dismiss orders held back from QuickBooks
+ * @lastUpdated 2026-10-19
+ *
+ * Endpoints:
+ *   GET    /api/review-queue               - List held orders (?status=all includes resolved)
+ *   GET    /api/review-queue?orderId=xxx   - Get a held order (includes payload)
+ *   POST   /api/review-queue?orderId=xxx   - Release: re-validate, then replay to /api/woo-qb-sync
+ *   DELETE /api/review-queue?orderId=xxx   - Dismiss (order will not be posted)
+ *
+ * Typical fix: register the missing product via /api/products, then release.
+ *
+ * CHANGELOG v1.0.2:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * CHANGELOG v1.0.1:
+ * - Held cancellations (closed-period voids) are released without re-validating
+ *   the order - their payload may be just { id, status }
+ */
+
+import { getHeldOrder, listHeldOrders, resolveHeldOrder } from '../lib/review-queue.js';
+import { parseWooCommerceOrder, validateOrderForQuickBooks } from '../lib/parse-order.js';
+import { loadProductRegistry } from '../lib/product-map.js';
+import { VOID_STATUSES } from '../lib/woo-cancellations.js';
+import { getActiveWebhookSecrets, signWooCommercePayload } from '../lib/validate-webhook.js';
+
+const QUEUE_SOURCE = 'woocommerce';
+
+export default async function handler(req, res) {
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  const { orderId, status, note } = req.query;
+
+  try {
+    // GET - List or retrieve
+    if (req.method === 'GET') {
+      if (orderId) {
+        const entry = await getHeldOrder(QUEUE_SOURCE, orderId);
+        if (!entry) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+        return res.status(200).json(entry);
+      }
+
+      const entries = await listHeldOrders({ status: status || 'held' });
+      return res.status(200).json({
+        count: entries.length,
+        orders: entries
+      });
+    }
+
+    if (!orderId) {
+      return res.status(400).json({ error: 'Missing orderId parameter' });
+    }
+
+    const entry = await getHeldOrder(QUEUE_SOURCE, orderId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (entry.status !== 'held') {
+      return res.status(409).json({ error: `Order is not held (status: ${entry.status})` });
+    }
+
+    // POST - Release
+    if (req.method === 'POST') {
+      // Check the fix actually worked before replaying (a held void has nothing to map)
+      await loadProductRegistry({ force: true });
+      const validation = VOID_STATUSES.includes(entry.payload?.status)
+        ? { valid: true }
+        : validateOrderForQuickBooks(parseWooCommerceOrder(entry.payload));
+      if (!validation.valid) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order still fails validation',
+          reasons: validation.errors
+        });
+      }
+
+      const [secret] = getActiveWebhookSecrets();
+      if (!secret) {
+        return res.status(500).json({ error: 'No webhook secret configured to sign release' });
+      }
+
+      const baseUrl = process.env.VERCEL_URL
+        ? `https://${process.env.VERCEL_URL}`
+        : 'https://basler-webhooks.vercel.app';
+
+      console.log(`🔓 Releasing order #${orderId} to /api/woo-qb-sync...`);
+
+      const body = JSON.stringify(entry.payload);
+      const releaseResponse = await fetch(`${baseUrl}/api/woo-qb-sync`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-WC-Webhook-Signature': signWooCommercePayload(body, secret),
+          'X-Review-Release': String(orderId)
+        },
+        body
+      });
+
+      const releaseText = await releaseResponse.text();
+      let releaseResult;
+      try {
+        releaseResult = JSON.parse(releaseText);
+      } catch (e) {
+        releaseResult = { raw: releaseText };
+      }
+
+      if (!releaseResponse.ok || releaseResult.held) {
+        return res.status(200).json({
+          success: false,
+          message: `Order #${orderId} release failed`,
+          result: releaseResult
+        });
+      }
+
+      await resolveHeldOrder(entry, 'released', {
+        resolvedBy: 'admin',
+        result: releaseResult
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Order #${orderId} released`,
+        result: releaseResult
+      });
+    }
+
+    // DELETE - Dismiss
+    if (req.method === 'DELETE') {
+      await resolveHeldOrder(entry, 'dismissed', {
+        resolvedBy: 'admin',
+        note: note || null
+      });
+      return res.status(200).json({
+        success: true,
+        message: `Order #${orderId} dismissed`
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Review queue API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
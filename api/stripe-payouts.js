@@ -0,0 +1,125 @@
+/**
+ * Stripe Payout Reconciliation
+ *
+ * @version 1.0.1
+ * @description Creates a QuickBooks Deposit for each Stripe payout whose
+ *              charges all match QB sales; reports the rest as mismatches
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * Usage:
+ *   GET /api/stripe-payouts?mode=dry-run           - Match recent payouts, post nothing
+ *   GET /api/stripe-payouts?mode=live              - Post Deposits (daily cron)
+ *   GET /api/stripe-payouts?mode=live&days=30      - Look back further (default 7 days)
+ *   GET /api/stripe-payouts?mode=live&payoutId=po_ - One payout
+ *   GET /api/stripe-payouts                        - List payout records (?status=mismatch)
+ *   GET /api/stripe-payouts?payoutId=po_           - Get a payout record (includes lines)
+ *
+ * Auth: x-admin-secret header, or the Vercel cron Authorization header (CRON_SECRET).
+ */
+
+import { getQBClient } from '../lib/quickbooks.js';
+import { listPaidPayouts } from '../lib/stripe-lookup.js';
+import { reconcilePayout, getPayoutRecord, listPayoutRecords } from '../lib/stripe-payouts.js';
+
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+export default async function handler(req, res) {
+  // Simple auth check - admin secret header or Vercel cron
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+  const isCron = !!process.env.CRON_SECRET && req.headers.authorization === `Bearer ${process.env.CRON_SECRET}`;
+
+  if ((!expectedSecret || authHeader !== expectedSecret) && !isCron) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { mode, payoutId, status } = req.query;
+
+  try {
+    // No mode - report on past runs
+    if (!mode) {
+      if (payoutId) {
+        const record = await getPayoutRecord(payoutId);
+        if (!record) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+        return res.status(200).json(record);
+      }
+
+      const records = await listPayoutRecords({ status: status || 'all' });
+      return res.status(200).json({
+        count: records.length,
+        payouts: records
+      });
+    }
+
+    if (!['dry-run', 'live'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode. Use ?mode=dry-run or ?mode=live'
+      });
+    }
+
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(500).json({ error: 'STRIPE_SECRET_KEY is not configured' });
+    }
+
+    const days = parseInt(req.query.days, 10) || DEFAULT_LOOKBACK_DAYS;
+    const since = Math.floor(Date.now() / 1000) - days * 86400;
+
+    console.log('============================================================');
+    console.log('STRIPE PAYOUT RECONCILIATION');
+    console.log('============================================================');
+    console.log(`Mode: ${mode.toUpperCase()}`);
+    console.log(payoutId ? `Payout: ${payoutId}` : `Lookback: ${days} days`);
+    console.log('============================================================');
+
+    const payouts = await listPaidPayouts({ since, payoutId });
+    console.log(`\n📥 ${payouts.length} paid payout(s)`);
+
+    const qb = await getQBClient();
+    const results = [];
+
+    for (const payout of payouts) {
+      try {
+        results.push(await reconcilePayout(qb, payout, { dryRun: mode === 'dry-run' }));
+      } catch (error) {
+        console.error(`   ❌ Payout ${payout.id} failed: ${error.message}`);
+        results.push({ payoutId: payout.id, status: 'error', error: error.message });
+      }
+    }
+
+    const count = value => results.filter(result => result.status === value).length;
+    const summary = {
+      payouts: results.length,
+      deposited: count('deposited'),
+      ready: count('ready'),
+      mismatch: count('mismatch'),
+      skipped: count('skipped'),
+      errors: count('error')
+    };
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`✓ RECONCILIATION COMPLETE: ${JSON.stringify(summary)}`);
+    console.log('='.repeat(60));
+
+    return res.status(200).json({
+      mode,
+      summary,
+      payouts: results
+    });
+
+  } catch (error) {
+    console.error('❌ Payout reconciliation error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Sync History API
+ *
+ * @version 1.0.0
+ * @description Read what the sync did with an order: its ledger entry and
+ *              change history (edits, refunds, voids, closed-period decisions)
+ * @lastUpdated 2026-10-19
+ *
+ * Endpoints:
+ *   GET /api/sync-history?orderId=780                  - Ledger entry + history for a WooCommerce order
+ *   GET /api/sync-history?source=ycbm&orderId=ABC123   - Same for another source (YCBM booking ref)
+ *   GET /api/sync-history?closedPeriod=1               - Closed-period decisions across orders
+ *                                                        (?source=, ?decision=redated|held, ?limit=)
+ */
+
+import {
+  getSyncEntry,
+  getSyncHistory,
+  listClosedPeriodDecisions
+} from '../lib/sync-ledger.js';
+
+const SOURCES = ['woocommerce', 'ycbm'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  const { orderId, closedPeriod, decision } = req.query;
+  const source = req.query.source || (closedPeriod ? null : 'woocommerce');
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  if (source && !SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Invalid source - use one of: ${SOURCES.join(', ')}` });
+  }
+
+  try {
+    if (closedPeriod) {
+      const decisions = await listClosedPeriodDecisions({ source, decision: decision || null, limit });
+      return res.status(200).json({
+        count: decisions.length,
+        decisions
+      });
+    }
+
+    if (!orderId) {
+      return res.status(400).json({ error: 'Missing orderId parameter (or use closedPeriod=1)' });
+    }
+
+    const [entry, history] = await Promise.all([
+      getSyncEntry(source, orderId),
+      getSyncHistory(source, orderId, limit)
+    ]);
+
+    if (!entry && history.length === 0) {
+      return res.status(404).json({ error: 'No sync record for this order' });
+    }
+
+    return res.status(200).json({
+      source,
+      orderId: String(orderId),
+      entry,
+      history
+    });
+  } catch (error) {
+    console.error('Sync history API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -1,18 +1,19 @@
-import { QuickBooksClient } from '../lib/quickbooks.js';
+import { getQBClient, listItems } from '../lib/quickbooks.js';
 
 export default async function handler(req, res) {
   try {
-    const qb = new QuickBooksClient();
-    await qb.initialize();
+    const qb = await getQBClient();
     
-    const items = await qb.listItems();
+    const items = await listItems(qb, { activeOnly: false });
     
     return res.status(200).json({
       count: items.length,
       items: items.map(item => ({
         Id: item.Id,
         Name: item.Name,
+        Sku: item.Sku || null,
         Type: item.Type,
+        UnitPrice: item.UnitPrice,
         Active: item.Active
       }))
     });
@@ -0,0 +1,242 @@
+/**
+ * WooCommerce → QuickBooks Backfill
+ *
+ * @version 1.1.2
+ * @description Pages through WooCommerce orders for a date range and posts the
+ *              ones QuickBooks doesn't have, through the same pipeline as the webhook
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.1.2:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * CHANGELOG v1.1.1:
+ * - A _qb_document_id is only trusted once the QB document is read back (not
+ *   voided, type known); otherwise the order is posted like any other
+ *
+ * CHANGELOG v1.1.0:
+ * - Orders whose _qb_document_id meta names a QB document are skipped (adopted in live runs)
+ * - Orders adopted from a QB memo match get the QB reference written back
+ *
+ * Usage:
+ *   POST /api/woo-backfill?after=2026-09-01&mode=dry-run               → Report only (default)
+ *   POST /api/woo-backfill?after=2026-09-01&before=2026-10-01&mode=live → Post missing orders
+ *   POST /api/woo-backfill?after=2026-09-01&status=completed,refunded  → Other statuses (reported, not posted)
+ *   POST /api/woo-backfill?after=2026-09-01&mode=live&limit=10         → Post at most 10 orders this run
+ *
+ * Orders are skipped when the sync ledger already has them, or when QuickBooks
+ * already has a Sales Receipt / Invoice with their "WooCommerce Order #" memo
+ * (posted before the ledger existed - live runs adopt these into the ledger).
+ * Orders that fail validation are held in the review queue, as with the webhook.
+ *
+ * Requires the WOO_API_* variables (see /api/woo-order-lookup).
+ */
+
+import { getQBClient } from '../lib/quickbooks.js';
+import { listWooOrders, getWooConfigStatus } from '../lib/woo-api.js';
+import { parseWooCommerceOrder, validateOrderForQuickBooks } from '../lib/parse-order.js';
+import { loadProductRegistry } from '../lib/product-map.js';
+import { getPendingRefunds } from '../lib/woo-refunds.js';
+import {
+  LEDGER_SOURCE,
+  postWooOrder,
+  adoptLinkedOrder,
+  findLinkedDocument,
+  findOrderDocumentInQuickBooks
+} from '../lib/woo-sync.js';
+import { getQuickBooksLink, writeBackToWooCommerce } from '../lib/woo-writeback.js';
+import { getSyncEntry, acquireSyncLock, releaseSyncLock, recordSync } from '../lib/sync-ledger.js';
+
+// Keep a live run inside the function time limit; rerun for the rest
+const DEFAULT_POST_LIMIT = 25;
+
+export default async function handler(req, res) {
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  const mode = req.query.mode || 'dry-run';
+  const status = req.query.status || 'completed';
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_POST_LIMIT;
+
+  if (!['dry-run', 'live'].includes(mode)) {
+    return res.status(400).json({ error: 'Invalid mode. Use ?mode=dry-run or ?mode=live' });
+  }
+
+  const after = toWooDate(req.query.after);
+  const before = req.query.before ? toWooDate(req.query.before) : null;
+  if (!after || (req.query.before && !before)) {
+    return res.status(400).json({
+      error: 'after (and optional before) must be dates, e.g. ?after=2026-09-01&before=2026-10-01'
+    });
+  }
+
+  const { configured, missing } = getWooConfigStatus();
+  if (!configured) {
+    return res.status(500).json({ error: 'Missing WooCommerce API configuration', missing });
+  }
+
+  console.log('============================================================');
+  console.log('WOOCOMMERCE → QUICKBOOKS BACKFILL');
+  console.log('============================================================');
+  console.log(`Mode: ${mode.toUpperCase()}`);
+  console.log(`Range: ${after} → ${before || 'now'} (status: ${status})`);
+  console.log('============================================================');
+
+  try {
+    const orders = await listWooOrders({ after, before, status });
+    console.log(`\n📥 ${orders.length} WooCommerce order(s) in range`);
+
+    await loadProductRegistry({ force: true });
+    const qb = await getQBClient();
+    const results = [];
+    let posted = 0;
+
+    for (const payload of orders) {
+      if (mode === 'live' && posted >= limit) {
+        results.push(summarize(payload, 'deferred', { reason: `Post limit (${limit}) reached - run again` }));
+        continue;
+      }
+
+      const result = await backfillOrder(qb, payload, mode);
+      if (['posted', 'held'].includes(result.outcome)) posted++;
+      results.push(result);
+    }
+
+    const count = outcome => results.filter(result => result.outcome === outcome).length;
+    const summary = {
+      orders: results.length,
+      alreadySynced: count('already-synced'),
+      alreadyInQuickBooks: count('already-in-qb'),
+      skipped: count('skipped'),
+      wouldPost: count('would-post'),
+      wouldHold: count('would-hold'),
+      posted: count('posted'),
+      held: count('held'),
+      deferred: count('deferred'),
+      errors: count('error')
+    };
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`✓ BACKFILL COMPLETE: ${JSON.stringify(summary)}`);
+    console.log('='.repeat(60));
+
+    return res.status(200).json({
+      mode,
+      range: { after, before, status },
+      summary,
+      orders: results
+    });
+
+  } catch (error) {
+    console.error(`❌ Backfill failed: ${error.message}`);
+    return res.status(500).json({ error: 'Backfill failed', message: error.message });
+  }
+}
+
+/**
+ * Decide what to do with one order, and do it in live mode
+ */
+async function backfillOrder(qb, payload, mode) {
+  const orderId = payload.id;
+  console.log(`\n--- Order #${orderId} (${payload.status}, $${payload.total}) ---`);
+
+  if (payload.status !== 'completed') {
+    return summarize(payload, 'skipped', { reason: `Order status is "${payload.status}", not "completed"` });
+  }
+
+  if (!(await acquireSyncLock(LEDGER_SOURCE, orderId))) {
+    return summarize(payload, 'skipped', { reason: 'Order is being synced by a webhook delivery' });
+  }
+
+  try {
+    const existing = await getSyncEntry(LEDGER_SOURCE, orderId);
+    if (existing) {
+      console.log(`   ⏭ Already synced: ${existing.document.type} ${existing.document.id}`);
+      return summarize(payload, 'already-synced', { document: existing.document });
+    }
+
+    const link = getQuickBooksLink(payload);
+    const linked = link && await findLinkedDocument(qb, payload, link);
+    if (linked) {
+      if (mode === 'live') await adoptLinkedOrder(payload, linked);
+      return summarize(payload, 'already-in-qb', { document: linked, adopted: mode === 'live' });
+    }
+
+    const found = await findOrderDocumentInQuickBooks(qb, payload);
+    if (found) {
+      console.log(`   ⏭ Already in QuickBooks (not in ledger): ${found.type} ${found.id}`);
+      if (mode === 'live') {
+        // No snapshot - the next edit webhook records the baseline
+        await recordSync(LEDGER_SOURCE, orderId, {
+          document: found,
+          result: { success: true, orderId, document: found, adopted: true }
+        });
+        await writeBackToWooCommerce(orderId, found);
+      }
+      return summarize(payload, 'already-in-qb', { document: found, adopted: mode === 'live' });
+    }
+
+    if (mode === 'dry-run') {
+      const order = parseWooCommerceOrder(payload);
+      const validation = validateOrderForQuickBooks(order);
+
+      if (!validation.valid) {
+        console.log(`   🛑 Would hold: ${validation.errors.join('; ')}`);
+        return summarize(payload, 'would-hold', { reasons: validation.errors });
+      }
+
+      const type = order.isPaylater ? 'Invoice' : 'SalesReceipt';
+      console.log(`   ✓ Would post ${type} ($${order.total})`);
+      return summarize(payload, 'would-post', { documentType: type, customer: order.customer.displayName });
+    }
+
+    const result = await postWooOrder(payload, { pendingRefunds: getPendingRefunds(null, payload.refunds) });
+    if (result.held) {
+      return summarize(payload, 'held', { reasons: result.reasons });
+    }
+
+    return summarize(payload, 'posted', {
+      document: result.document,
+      ...(result.refunds && { refunds: result.refunds.length }),
+      ...(result.stripeFee && { stripeFee: result.stripeFee })
+    });
+
+  } catch (error) {
+    console.error(`   ❌ Order #${orderId} failed: ${error.message}`);
+    return summarize(payload, 'error', { error: error.message });
+  } finally {
+    await releaseSyncLock(LEDGER_SOURCE, orderId);
+  }
+}
+
+function summarize(payload, outcome, details = {}) {
+  return {
+    orderId: payload.id,
+    orderNumber: payload.number,
+    status: payload.status,
+    dateCreated: payload.date_created,
+    total: payload.total,
+    outcome,
+    ...details
+  };
+}
+
+/**
+ * Accept YYYY-MM-DD or a full ISO timestamp; WooCommerce wants the latter
+ */
+function toWooDate(value) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('.')[0];
+}
@@ -1,13 +1,20 @@
 /**
  * WooCommerce Order Lookup Endpoint
  * 
- * @version 1.0.0
+ * @version 1.1.1
  * @description Fetches order data from WooCommerce REST API for testing/debugging
- * @lastUpdated 2026-01-01
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.1.1:
+ * - format=qb-preview is refused unless ADMIN_SECRET is set (no default secret)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added format=qb-preview: the QB request body the order would post (read-only)
  * 
  * USAGE:
  *   GET /api/woo-order-lookup?orderId=780
  *   GET /api/woo-order-lookup?orderId=780&format=summary
+ *   GET /api/woo-order-lookup?orderId=780&format=qb-preview   (x-admin-secret header required)
  * 
  * SETUP REQUIRED:
  *   Vercel env vars:
@@ -16,6 +23,9 @@
  *   - WOO_CONSUMER_SECRET: cs_xxxxxxxx
  */
 
+import { getQBClient } from '../lib/quickbooks.js';
+import { previewWooOrder } from '../lib/woo-sync.js';
+
 export default async function handler(req, res) {
   // Only accept GET requests
   if (req.method !== 'GET') {
@@ -33,6 +43,17 @@ export default async function handler(req, res) {
     });
   }
 
+  // The preview reads from QuickBooks (customers, accounts) - admins only
+  if (format === 'qb-preview') {
+    const expectedSecret = process.env.ADMIN_SECRET;
+    if (!expectedSecret || req.headers['x-admin-secret'] !== expectedSecret) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        hint: 'Include x-admin-secret header'
+      });
+    }
+  }
+
   // Check for required environment variables
   const apiUrl = process.env.WOO_API_URL;
   const consumerKey = process.env.WOO_CONSUMER_KEY;
@@ -120,6 +141,12 @@ export default async function handler(req, res) {
       });
     }
 
+    // Return what the sync would send to QuickBooks
+    if (format === 'qb-preview') {
+      const qb = await getQBClient();
+      return res.status(200).json(await previewWooOrder(qb, order));
+    }
+
     // Return full payload (this is what the webhook sends)
     return res.status(200).json(order);
 
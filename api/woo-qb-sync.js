@@ -6,9 +6,95 @@
  * - Creates Sales Receipt (if paid via Stripe)
  * - Creates Invoice with NET 30 (if paylater coupon used)
  * - Adds discount line item when coupon used
+ * - Posts refunds as Refund Receipts / Credit Memos
+ * - Voids the QB document when an order is cancelled, failed or trashed
+ * - Updates the QB document in place when a synced order is edited
  * 
- * @version 1.6.0
- * @lastUpdated 2026-01-02
+ * @version 1.20.5
+ * @lastUpdated 2026-10-19
+ * 
+ * Preview (admin): POST an order body to /api/woo-qb-sync?preview=1 with the
+ * x-admin-secret header to get the QB request body it would post, unsigned
+ * and without writing anything. See also /api/woo-order-lookup?format=qb-preview.
+ * 
+ * CHANGELOG v1.20.5:
+ * - ?preview=1 is refused unless ADMIN_SECRET is set (no default secret)
+ * 
+ * CHANGELOG v1.20.4:
+ * - A void refused for a closed period is held from the ledger entry instead
+ *   of re-parsing the payload (order.deleted only carries the ID)
+ * 
+ * CHANGELOG v1.20.3:
+ * - Refunds recorded as skipped (nothing to credit) don't block order edits
+ * 
+ * CHANGELOG v1.20.2:
+ * - The QB document named in an order's meta is checked before it is adopted;
+ *   a missing, voided or untyped one is posted instead
+ * 
+ * CHANGELOG v1.20.1:
+ * - Edits and cancellations of a document in a closed QB period are held for
+ *   review instead of changing (or re-dating) the document
+ * 
+ * CHANGELOG v1.20.0:
+ * - Orders and edits dated in a closed QB period are re-dated or held for
+ *   review per QB_CLOSED_PERIOD_POLICY (see lib/quickbooks.js)
+ * 
+ * CHANGELOG v1.19.0:
+ * - Added ?preview=1 (admin): returns the chosen flow, QB request body and warnings
+ * 
+ * CHANGELOG v1.18.0:
+ * - Posted orders get a QB reference note + meta on the WooCommerce order
+ * - Orders whose meta already names a QB document are recorded, not re-posted
+ * 
+ * CHANGELOG v1.17.0:
+ * - Posting pipeline (parse → customer → document → ledger) moved to
+ *   lib/woo-sync.js so /api/woo-backfill posts orders exactly the same way
+ * 
+ * CHANGELOG v1.16.0:
+ * - Stripe-paid orders get their processing fee posted as a Purchase against
+ *   the receipt's deposit (clearing) account; charge → QB txn indexed in KV
+ * 
+ * CHANGELOG v1.15.0:
+ * - Sales Receipts route to a QB PaymentMethod / deposit account by WooCommerce
+ *   payment_method (lib/payment-routing.js) instead of hardcoded refs
+ * 
+ * CHANGELOG v1.14.0:
+ * - Orders failing validateOrderForQuickBooks (e.g. unmapped products) are held
+ *   in the review queue instead of posting; released via /api/review-queue
+ * - Releases (X-Review-Release header) reload the product registry first
+ * 
+ * CHANGELOG v1.13.0:
+ * - Product mappings are loaded from the KV product registry before parsing
+ * 
+ * CHANGELOG v1.12.0:
+ * - Customers are resolved through the customer link table (WooCommerce customer_id)
+ * 
+ * CHANGELOG v1.11.0:
+ * - Supports order.updated: edited orders are diffed against what was posted
+ *   and the existing Sales Receipt / Invoice is sparse-updated (no second document)
+ * - Change history recorded per order in KV (sync_history)
+ * - Moved document builders to lib/woo-documents.js
+ * 
+ * CHANGELOG v1.10.0:
+ * - Cancelled / failed / trashed orders void their QB document
+ * - Customers get a void notice email if the invoice had already been sent
+ * 
+ * CHANGELOG v1.9.0:
+ * - Handles refunds (status "refunded", order.refunded topic, and refunds[] on completed orders)
+ * - Paid orders → Refund Receipt; paylater orders → Credit Memo applied to the invoice
+ * - Each WooCommerce refund is posted once (tracked in the sync ledger)
+ * 
+ * CHANGELOG v1.8.0:
+ * - Re-enabled signature validation, now against the raw request body
+ * - Supports multiple active secrets (WOO_WEBHOOK_SECRETS) for rotation
+ * - Rejected deliveries are logged to a separate KV audit store
+ * - Responds to WooCommerce webhook pings
+ * 
+ * CHANGELOG v1.7.0:
+ * - Added sync ledger (KV) keyed by order ID and x-wc-webhook-delivery-id
+ * - Redelivered webhooks return the original result instead of creating duplicates
+ * - Concurrent deliveries for the same order are locked out while posting
+ * - Response now includes the created QB document (type, ID, number)
  * 
  * CHANGELOG v1.6.0:
  * - Added discount line item support for coupon orders
@@ -37,16 +123,47 @@
  * - Paylater orders now use full prices for invoicing
  */
 
-import { validateWooCommerceWebhook } from '../lib/validate-webhook.js';
-import { parseWooCommerceOrder } from '../lib/parse-order.js';
 import { 
-  getQBClient, 
-  findOrCreateCustomer, 
-  createSalesReceipt, 
-  createInvoice, 
-  sendInvoice 
-} from '../lib/quickbooks.js';
+  validateWooCommerceWebhook, 
+  getWebhookMetadata, 
+  getActiveWebhookSecrets, 
+  readRawBody 
+} from '../lib/validate-webhook.js';
+import { parseWooCommerceOrder, validateOrderForQuickBooks } from '../lib/parse-order.js';
+import { loadProductRegistry } from '../lib/product-map.js';
+import { getQBClient } from '../lib/quickbooks.js';
 import { logFailedWebhook } from '../lib/failed-webhooks.js';
+import { logRejectedWebhook } from '../lib/webhook-audit.js';
+import { getPendingRefunds, postRefunds } from '../lib/woo-refunds.js';
+import { VOID_STATUSES, voidOrderDocument } from '../lib/woo-cancellations.js';
+import { snapshotOrder, diffOrderSnapshots, updateOrderDocument } from '../lib/woo-order-update.js';
+import {
+  LEDGER_SOURCE,
+  postWooOrder,
+  previewWooOrder,
+  adoptLinkedOrder,
+  findLinkedDocument,
+  holdForReview,
+  holdForClosedPeriod,
+  holdVoidForClosedPeriod
+} from '../lib/woo-sync.js';
+import { getQuickBooksLink } from '../lib/woo-writeback.js';
+import {
+  getSyncEntry,
+  findDelivery,
+  acquireSyncLock,
+  releaseSyncLock,
+  recordDuplicateDelivery,
+  saveSyncEntry
+} from '../lib/sync-ledger.js';
+
+// Signatures must be checked against the exact bytes WooCommerce signed,
+// so Vercel must not parse (and re-serialize) the body for us
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
 
 export default async function handler(req, res) {
   // Only accept POST requests
@@ -54,43 +171,66 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (req.query?.preview) {
+    return handlePreview(req, res);
+  }
+
   console.log('='.repeat(60));
   console.log('WEBHOOK RECEIVED:', new Date().toISOString());
   console.log('='.repeat(60));
 
+  const metadata = getWebhookMetadata(req.headers);
+  let payload = null;
+  let lockedOrderId = null;
+
   try {
     // =========================================================================
-    // Step 1: Validate webhook signature
+    // Step 1: Validate webhook signature against the raw body
     // =========================================================================
     
-    const webhookSecret = null; // TEMP: Disabled for testing
-    // const webhookSecret = process.env.WOO_WEBHOOK_SECRET; // RE-ENABLE LATER
+    const rawBody = await readRawBody(req);
+    const signature = req.headers['x-wc-webhook-signature'];
+    const secrets = getActiveWebhookSecrets();
     
-    if (webhookSecret) {
-      const signature = req.headers['x-wc-webhook-signature'];
-      const isValid = validateWooCommerceWebhook(
-        JSON.stringify(req.body),
-        signature,
-        webhookSecret
-      );
-      
-      if (!isValid) {
-        console.log('❌ Invalid webhook signature');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-      console.log('✓ Webhook signature validated');
-    } else {
-      console.log('⚠ Webhook signature validation disabled (testing mode)');
+    if (secrets.length === 0) {
+      console.error('❌ No webhook secrets configured (WOO_WEBHOOK_SECRETS / WOO_WEBHOOK_SECRET)');
+      await logRejectedWebhook('woocommerce', 'No webhook secrets configured', req, rawBody);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    if (!validateWooCommerceWebhook(rawBody, signature, secrets)) {
+      const reason = signature ? 'Signature mismatch' : 'Missing signature';
+      console.log(`❌ Invalid webhook signature (${reason})`);
+      await logRejectedWebhook('woocommerce', reason, req, rawBody);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    console.log('✓ Webhook signature validated');
+    
+    // WooCommerce sends a form-encoded ping when a webhook is created/saved
+    const bodyText = rawBody.toString('utf8');
+    if (/^webhook_id=\d+/.test(bodyText)) {
+      console.log('🏓 Webhook ping received');
+      return res.status(200).json({ success: true, ping: true });
+    }
+    
+    try {
+      payload = JSON.parse(bodyText);
+    } catch (e) {
+      console.log('❌ Webhook body is not valid JSON');
+      return res.status(400).json({ error: 'Invalid JSON body' });
     }
 
     // =========================================================================
-    // Step 2: Check order status (only process completed orders)
+    // Step 2: Check order status (completed, refunded, cancelled/failed/trash)
     // =========================================================================
     
-    const orderStatus = req.body?.status;
-    console.log(`📋 Order Status: ${orderStatus}`);
+    // order.deleted deliveries only carry the order ID
+    const orderStatus = metadata.topic === 'order.deleted' ? 'trash' : payload?.status;
+    const isRefundEvent = orderStatus === 'refunded' || metadata.topic === 'order.refunded';
+    const isVoidEvent = VOID_STATUSES.includes(orderStatus);
+    console.log(`📋 Order Status: ${orderStatus}${metadata.topic ? ` (${metadata.topic})` : ''}`);
     
-    if (orderStatus !== 'completed') {
+    if (orderStatus !== 'completed' && !isRefundEvent && !isVoidEvent) {
       console.log(`⏭ Skipping - order is "${orderStatus}", not "completed"`);
       return res.status(200).json({ 
         success: true, 
@@ -100,122 +240,145 @@ export default async function handler(req, res) {
     }
 
     // =========================================================================
-    // Step 3: Parse the WooCommerce order
+    // Step 3: Check sync ledger (redeliveries, edits, refunds and voids)
     // =========================================================================
     
-    const order = parseWooCommerceOrder(req.body);
-    
-    console.log('\n📦 ORDER DETAILS:');
-    console.log(`   Order ID: ${order.orderId}`);
-    console.log(`   Customer: ${order.customer.displayName}`);
-    console.log(`   Email: ${order.customer.email}`);
-    console.log(`   Subtotal: $${order.subtotal}`);
-    console.log(`   Total: $${order.total}`);
-    console.log(`   Is Paylater: ${order.isPaylater}`);
-    console.log(`   Has Discount: ${order.discount.hasDiscount}`);
+    const orderId = payload?.id;
+    console.log(`📨 Delivery ID: ${metadata.deliveryId || '(none)'}`);
     
-    if (order.discount.hasDiscount) {
-      console.log(`   Discount Code: ${order.discount.code}`);
-      console.log(`   Discount Amount: $${order.discount.amount}`);
+    if (req.headers['x-review-release']) {
+      // Admin just fixed the mapping - don't trust this instance's cached registry
+      console.log(`🔓 Review queue release for order #${orderId}`);
+      await loadProductRegistry({ force: true });
     }
     
-    console.log(`   Line Items: ${order.lineItems.length}`);
-    order.lineItems.forEach((item, i) => {
-      console.log(`     ${i + 1}. ${item.name} x${item.quantity} @ $${item.unitPrice} = $${item.total}`);
-    });
-
-    // =========================================================================
-    // Step 4: Initialize QuickBooks client
-    // =========================================================================
+    const delivery = await findDelivery(metadata.deliveryId);
+    if (delivery) {
+      console.log(`   ↩ Repeat delivery (first seen ${delivery.seenAt})`);
+    }
     
-    const qb = await getQBClient();
-
-    // =========================================================================
-    // Step 5: Find or create customer in QuickBooks
-    // =========================================================================
+    if (!(await acquireSyncLock(LEDGER_SOURCE, orderId))) {
+      console.log(`⏭ Skipping - order #${orderId} is already being synced by another delivery`);
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: `Order #${orderId} is already being synced`
+      });
+    }
+    lockedOrderId = orderId;
     
-    console.log('\n👤 PROCESSING CUSTOMER...');
-    const qbCustomer = await findOrCreateCustomer(qb, order.customer);
-    console.log(`   QB Customer ID: ${qbCustomer.Id}`);
-    console.log(`   QB Customer Name: ${qbCustomer.DisplayName}`);
-
-    // =========================================================================
-    // Step 6: Create transaction based on payment type
-    // =========================================================================
+    const existingSync = await getSyncEntry(LEDGER_SOURCE, orderId);
+    const pendingRefunds = getPendingRefunds(existingSync, payload.refunds);
     
-    if (order.isPaylater) {
-      // Paylater coupon used = Create Invoice with NET 30 terms
-      console.log('\n📄 CREATING INVOICE (NET 30)...');
-      
-      // Build invoice data (paylater = full price, no discount shown)
-      const invoiceData = buildInvoiceData(qbCustomer, order);
-      const invoice = await createInvoice(qb, invoiceData);
-      
-      console.log(`   Invoice ID: ${invoice.Id}`);
-      console.log(`   Invoice Number: ${invoice.DocNumber || 'auto-assigned'}`);
-      console.log(`   Due Date: ${invoice.DueDate}`);
-      console.log(`   Total: $${invoice.TotalAmt}`);
+    if (isVoidEvent) {
+      if (!existingSync) {
+        console.log(`⏭ Skipping void - order #${orderId} was never synced to QuickBooks`);
+        return res.status(200).json({
+          success: true,
+          skipped: true,
+          reason: `Order #${orderId} has no QuickBooks document to void`
+        });
+      }
       
-      // Auto-send the invoice (non-fatal if it fails)
-      console.log('\n📧 SENDING INVOICE...');
-      const sendResult = await sendInvoice(qb, invoice.Id, order.customer.email);
-      if (sendResult) {
-        console.log(`   ✓ Invoice sent to ${order.customer.email}`);
-      } else {
-        console.warn(`   ⚠ Could not auto-send invoice`);
-        console.warn(`   → Invoice was created successfully but needs manual sending from QuickBooks`);
+      if (existingSync.voided) {
+        console.log(`⏭ Order #${orderId} already voided (${existingSync.voided.voidedAt})`);
+        return res.status(200).json({
+          success: true,
+          skipped: true,
+          reason: `Order #${orderId} QuickBooks document already voided`,
+          document: existingSync.document
+        });
       }
       
-    } else {
-      // Paid via Stripe = Create Sales Receipt (already paid)
-      console.log('\n🧾 CREATING SALES RECEIPT...');
+      const qb = await getQBClient();
+      let voidResult;
+      try {
+        voidResult = await voidOrderDocument(qb, existingSync, orderStatus, {
+          orderNumber: payload.number || orderId,
+          customerName: [payload.billing?.first_name, payload.billing?.last_name].filter(Boolean).join(' ')
+        });
+      } catch (error) {
+        // Closed period - release the hold once the period is reopened to void it
+        return res.status(200).json(await holdVoidForClosedPeriod(error, existingSync, payload, orderStatus, metadata.deliveryId));
+      }
       
-      // Build receipt data (may include discount line)
-      const receiptData = buildSalesReceiptData(qbCustomer, order);
+      console.log('\n' + '='.repeat(60));
+      console.log(`✓ ${existingSync.document.type} VOIDED`);
+      console.log('='.repeat(60));
       
-      // Log what we're sending
-      console.log(`   Line items: ${receiptData.Line.length}`);
-      receiptData.Line.forEach((line, i) => {
-        if (line.DetailType === 'SalesItemLineDetail') {
-          const isDiscount = line.Amount < 0;
-          console.log(`     ${i + 1}. ${line.Description}: ${isDiscount ? '-' : ''}$${Math.abs(line.Amount)}`);
-        }
+      return res.status(200).json({
+        success: true,
+        orderId,
+        status: orderStatus,
+        ...voidResult
       });
+    }
+    
+    if (existingSync) {
+      if (pendingRefunds.length === 0) {
+        if (orderStatus === 'completed' && !existingSync.voided) {
+          return handleOrderEdit(res, existingSync, payload, metadata.deliveryId);
+        }
+        return respondWithExistingSync(res, existingSync, metadata.deliveryId);
+      }
+      
+      const qb = await getQBClient();
+      const refunds = await postRefunds(qb, existingSync, pendingRefunds);
       
-      const receipt = await createSalesReceipt(qb, receiptData);
+      console.log('\n' + '='.repeat(60));
+      console.log(`✓ ${refunds.length} REFUND(S) POSTED`);
+      console.log('='.repeat(60));
       
-      console.log(`   Receipt ID: ${receipt.Id}`);
-      console.log(`   Receipt Number: ${receipt.DocNumber || 'auto-assigned'}`);
-      console.log(`   Total: $${receipt.TotalAmt}`);
+      return res.status(200).json({
+        success: true,
+        orderId,
+        document: existingSync.document,
+        refunds
+      });
+    }
+    
+    if (orderStatus !== 'completed') {
+      console.log(`⏭ Skipping refund - order #${orderId} was never synced to QuickBooks`);
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: `Order #${orderId} has no QuickBooks document to refund`
+      });
+    }
+
+    // Ledger entry lost, but the order itself says it's in QuickBooks
+    const qbLink = getQuickBooksLink(payload);
+    const linked = qbLink && await findLinkedDocument(await getQBClient(), payload, qbLink);
+    if (linked) {
+      return res.status(200).json(await adoptLinkedOrder(payload, linked, metadata.deliveryId));
     }
 
     // =========================================================================
-    // Step 7: Success response
+    // Steps 4-8: Parse, validate, post to QuickBooks, record in sync ledger
     // =========================================================================
     
+    const result = await postWooOrder(payload, { deliveryId: metadata.deliveryId, pendingRefunds });
+    if (result.held) {
+      return res.status(200).json(result);
+    }
+    
     console.log('\n' + '='.repeat(60));
     console.log('✓ WEBHOOK PROCESSED SUCCESSFULLY');
     console.log('='.repeat(60));
 
-    return res.status(200).json({ 
-      success: true,
-      orderId: order.orderId,
-      isPaylater: order.isPaylater,
-      hasDiscount: order.discount.hasDiscount,
-      customerId: qbCustomer.Id
-    });
+    return res.status(200).json(result);
 
   } catch (error) {
     console.error('\n❌ ERROR:', error.message);
     console.error('Stack:', error.stack);
 
-    // Log to KV for retry (skip if this is already a retry)
-    if (!req.headers['x-retry-webhook']) {
-      await logFailedWebhook('woocommerce', req.body, error.message, {
-        orderId: req.body?.id,
-        customer: `${req.body?.billing?.first_name} ${req.body?.billing?.last_name}`,
-        email: req.body?.billing?.email,
-        total: req.body?.total
+    // Log to KV for retry (skip if this is already a retry, or the body never parsed)
+    if (!req.headers['x-retry-webhook'] && payload) {
+      await logFailedWebhook('woocommerce', payload, error.message, {
+        orderId: payload?.id,
+        customer: `${payload?.billing?.first_name} ${payload?.billing?.last_name}`,
+        email: payload?.billing?.email,
+        total: payload?.total
       });
     }
 
@@ -223,90 +386,121 @@ export default async function handler(req, res) {
       success: false, 
       error: error.message 
     });
+  } finally {
+    if (lockedOrderId) {
+      await releaseSyncLock(LEDGER_SOURCE, lockedOrderId);
+    }
   }
 }
 
 /**
- * Build QuickBooks Invoice data structure
- * Used for paylater orders (NET 30 terms)
- * NOTE: Paylater invoices show FULL price, no discount
+ * Respond to a delivery for an order that was already synced
+ * Returns the original result so WooCommerce (and retries) see the same outcome
  */
-function buildInvoiceData(qbCustomer, order) {
-  // Calculate due date (NET 30)
-  const dueDate = new Date();
-  dueDate.setDate(dueDate.getDate() + 30);
+async function respondWithExistingSync(res, entry, deliveryId) {
+  console.log(`⏭ Order #${entry.orderId} already synced to QB ${entry.document.type} ${entry.document.id} (${entry.createdAt})`);
+  
+  await recordDuplicateDelivery(entry, deliveryId);
   
-  return {
-    CustomerRef: { value: String(qbCustomer.Id) },
-    BillEmail: { Address: order.customer.email },
-    DueDate: dueDate.toISOString().split('T')[0],
-    PrivateNote: `WooCommerce Order #${order.orderId}`,
-    Line: order.lineItems.map(item => ({
-      Amount: parseFloat(item.total),
-      DetailType: 'SalesItemLineDetail',
-      SalesItemLineDetail: {
-        ItemRef: { value: String(item.qbItemId || process.env.QB_ITEM_BST) },
-        Qty: item.quantity,
-        UnitPrice: parseFloat(item.unitPrice)
-      },
-      Description: item.name
-    }))
-  };
+  return res.status(200).json({
+    ...entry.result,
+    duplicate: true,
+    syncedAt: entry.createdAt
+  });
 }
 
 /**
- * Build QuickBooks Sales Receipt data structure
- * Used for paid orders (Stripe payment completed)
- * 
- * If a discount coupon was used:
- * - Line items show ORIGINAL prices (before discount)
- * - A discount line shows the discount amount as negative
- * - Total = Original prices - Discount = What Stripe charged
+ * Handle a delivery for an already-synced completed order
+ * If the order was edited since it was posted, update the QB document in place
  */
-function buildSalesReceiptData(qbCustomer, order) {
-  // Build product line items (always at original prices)
-  const productLines = order.lineItems.map(item => ({
-    Amount: parseFloat(item.total),
-    DetailType: 'SalesItemLineDetail',
-    SalesItemLineDetail: {
-      ItemRef: { value: String(item.qbItemId || process.env.QB_ITEM_BST) },
-      Qty: item.quantity,
-      UnitPrice: parseFloat(item.unitPrice)
-    },
-    Description: item.name
-  }));
-
-  // Add discount line if applicable
-  let discountLine = null;
-  if (order.discount.hasDiscount && order.discount.amount > 0) {
-    const discountItemId = process.env.QB_ITEM_DISCOUNT;
-    
-    if (!discountItemId) {
-      console.warn('   ⚠ QB_ITEM_DISCOUNT not configured - discount will not be shown as separate line');
-      console.warn('   → Set QB_ITEM_DISCOUNT env var to your QuickBooks discount item ID');
-    } else {
-      discountLine = {
-        Amount: -Math.abs(parseFloat(order.discount.amount)), // Negative amount
-        DetailType: 'SalesItemLineDetail',
-        SalesItemLineDetail: {
-          ItemRef: { value: String(discountItemId) },
-          Qty: 1,
-          UnitPrice: -Math.abs(parseFloat(order.discount.amount)) // Negative unit price
-        },
-        Description: `Discount (${order.discount.code.toUpperCase()})`
-      };
-    }
+async function handleOrderEdit(res, entry, payload, deliveryId) {
+  await loadProductRegistry();
+  const order = parseWooCommerceOrder(payload);
+  const snapshot = snapshotOrder(order);
+  
+  if (!entry.snapshot) {
+    // Synced before snapshots were kept - take this delivery as the baseline
+    console.log(`   📸 No snapshot for order #${entry.orderId} - recording current order as baseline`);
+    entry.snapshot = snapshot;
+    await saveSyncEntry(entry);
+    return respondWithExistingSync(res, entry, deliveryId);
   }
+  
+  const changes = diffOrderSnapshots(entry.snapshot, snapshot);
+  if (changes.length === 0) {
+    return respondWithExistingSync(res, entry, deliveryId);
+  }
+  
+  console.log(`\n✏️  Order #${entry.orderId} was edited (${changes.map(c => c.field).join(', ')})`);
+  
+  if (Object.values(entry.refunds || {}).some(refund => !refund.skipped)) {
+    console.warn(`   ⚠ Order has posted refunds - not updating ${entry.document.type} ${entry.document.id}`);
+    return res.status(200).json({
+      success: true,
+      skipped: true,
+      reason: 'Order has posted refunds - update the QuickBooks document manually',
+      orderId: entry.orderId,
+      document: entry.document,
+      changes
+    });
+  }
+  
+  const validation = validateOrderForQuickBooks(order);
+  if (!validation.valid) {
+    return res.status(200).json(await holdForReview(order, validation.errors, payload, deliveryId));
+  }
+  
+  const qb = await getQBClient();
+  let update;
+  try {
+    update = await updateOrderDocument(qb, entry, order, changes, deliveryId);
+  } catch (error) {
+    return res.status(200).json(await holdForClosedPeriod(error, order, payload, deliveryId));
+  }
+  
+  console.log('\n' + '='.repeat(60));
+  console.log(`✓ ${entry.document.type} UPDATED`);
+  console.log('='.repeat(60));
+  
+  return res.status(200).json({
+    success: true,
+    orderId: entry.orderId,
+    updated: true,
+    ...update
+  });
+}
 
-  // Combine lines
-  const allLines = discountLine ? [...productLines, discountLine] : productLines;
-
-  return {
-    CustomerRef: { value: String(qbCustomer.Id) },
-    BillEmail: { Address: order.customer.email },
-    PrivateNote: `WooCommerce Order #${order.orderId}`,
-    PaymentMethodRef: { value: '1' },  // Credit Card
-    DepositToAccountRef: { value: process.env.QB_DEPOSIT_ACCOUNT || '154' },
-    Line: allLines
-  };
+/**
+ * Preview what an order would post (?preview=1)
+ * Admin-only and read-only: the body is an order JSON, not a signed delivery
+ */
+async function handlePreview(req, res) {
+  const expectedSecret = process.env.ADMIN_SECRET;
+  
+  if (!expectedSecret || req.headers['x-admin-secret'] !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse((await readRawBody(req)).toString('utf8'));
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  
+  if (!payload?.id) {
+    return res.status(400).json({ error: 'Body must be a WooCommerce order (with an id)' });
+  }
+  
+  try {
+    console.log(`🔍 Previewing QuickBooks posting for order #${payload.id}...`);
+    const qb = await getQBClient();
+    return res.status(200).json(await previewWooOrder(qb, payload));
+  } catch (error) {
+    console.error(`❌ Preview failed: ${error.message}`);
+    return res.status(500).json({ error: 'Preview failed', message: error.message });
+  }
 }
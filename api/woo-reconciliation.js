@@ -0,0 +1,148 @@
+/**
+ * WooCommerce ↔ QuickBooks Reconciliation Report
+ *
+ * @version 1.0.1
+ * @description Checks that every WooCommerce order in a period made it into
+ *              QuickBooks with the right amount
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Admin requests are refused unless ADMIN_SECRET is set (no default secret)
+ *
+ * Usage:
+ *   GET /api/woo-reconciliation?month=2026-09                  → JSON (default: previous month)
+ *   GET /api/woo-reconciliation?from=2026-09-01&to=2026-09-15  → Custom period
+ *   GET /api/woo-reconciliation?month=2026-09&format=csv       → CSV download
+ *   GET /api/woo-reconciliation?month=2026-09&issues=1         → Only rows with an issue
+ *
+ * Orders are selected by date created; QB documents are read for the period
+ * plus DOCUMENT_GRACE_DAYS, since an order is often posted after the day it
+ * was placed. See lib/woo-reconciliation.js for the issue types.
+ */
+
+import { getQBClient } from '../lib/quickbooks.js';
+import { listWooOrders, getWooOrder, getWooConfigStatus } from '../lib/woo-api.js';
+import { loadProductRegistry } from '../lib/product-map.js';
+import { fetchOrderDocuments, reconcileOrders, reportToCsv } from '../lib/woo-reconciliation.js';
+
+const DOCUMENT_GRACE_DAYS = 31;
+const MAX_ORDER_LOOKUPS = 50; // Orders outside the period referenced by a QB document in it
+
+export default async function handler(req, res) {
+  // Simple auth check - require a secret header
+  const authHeader = req.headers['x-admin-secret'];
+  const expectedSecret = process.env.ADMIN_SECRET;
+
+  if (!expectedSecret || authHeader !== expectedSecret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      hint: 'Include x-admin-secret header'
+    });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  const period = getPeriod(req.query);
+  if (!period) {
+    return res.status(400).json({
+      error: 'Invalid period. Use ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD'
+    });
+  }
+
+  const { configured, missing } = getWooConfigStatus();
+  if (!configured) {
+    return res.status(500).json({ error: 'Missing WooCommerce API configuration', missing });
+  }
+
+  const { from, to } = period;
+  console.log(`🔎 Reconciling WooCommerce orders ${from} → ${to}...`);
+
+  try {
+    const orders = await listWooOrders({
+      after: `${from}T00:00:00`,
+      before: `${addDays(to, 1)}T00:00:00`,
+      status: 'any'
+    });
+    console.log(`   ${orders.length} WooCommerce order(s)`);
+
+    const qb = await getQBClient();
+    const documents = await fetchOrderDocuments(qb, { from, to: addDays(to, DOCUMENT_GRACE_DAYS) });
+    console.log(`   ${documents.length} QB document(s) referencing WooCommerce orders`);
+
+    // QB documents in the period for orders placed before it - fetch those orders
+    // so they're compared rather than reported as orphans
+    const knownIds = new Set(orders.map(order => String(order.id)));
+    const outsideIds = [...new Set(
+      documents
+        .filter(document => document.txnDate >= from && document.txnDate <= to && !knownIds.has(document.orderId))
+        .map(document => document.orderId)
+    )];
+
+    for (const orderId of outsideIds.slice(0, MAX_ORDER_LOOKUPS)) {
+      try {
+        orders.push(await getWooOrder(orderId));
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+
+    await loadProductRegistry();
+    const report = reconcileOrders(orders, documents, { from, to });
+
+    if (req.query.issues) {
+      report.rows = report.rows.filter(row => row.issue);
+    }
+
+    console.log(`✅ Reconciliation: ${JSON.stringify(report.summary)}`);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="woo-qb-reconciliation-${from}-to-${to}.csv"`);
+      return res.status(200).send(reportToCsv(report));
+    }
+
+    return res.status(200).json({
+      period: { from, to },
+      ...(outsideIds.length > MAX_ORDER_LOOKUPS && {
+        warning: `${outsideIds.length - MAX_ORDER_LOOKUPS} out-of-period orders not looked up - may show as orphans`
+      }),
+      ...report
+    });
+
+  } catch (error) {
+    console.error(`❌ Reconciliation failed: ${error.message}`);
+    return res.status(500).json({ error: 'Reconciliation failed', message: error.message });
+  }
+}
+
+/**
+ * Resolve ?month= or ?from=&to= (default: previous month)
+ */
+function getPeriod({ month, from, to }) {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+
+  if (from || to) {
+    return isDate(from) && isDate(to) && from <= to ? { from, to } : null;
+  }
+
+  if (month && !/^\d{4}-\d{2}$/.test(month)) return null;
+
+  const now = new Date();
+  const [year, monthNumber] = month
+    ? month.split('-').map(Number)
+    : [now.getUTCMonth() === 0 ? now.getUTCFullYear() - 1 : now.getUTCFullYear(), now.getUTCMonth() === 0 ? 12 : now.getUTCMonth()];
+
+  if (monthNumber < 1 || monthNumber > 12) return null;
+
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const prefix = `${year}-${String(monthNumber).padStart(2, '0')}`;
+  return { from: `${prefix}-01`, to: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
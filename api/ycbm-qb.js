@@ -1,9 +1,41 @@
 /**
  * YCBM → QuickBooks Integration
  * 
- * @version 2.1.1
+ * @version 2.8.1
  * @description Handle YouCanBookMe webhooks and create QuickBooks records
- * @lastUpdated 2025-01-02
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v2.8.1:
+ * - PARTIAL_PAYMENT: a retry that finds the invoice without its Stripe payment
+ *   (the payment failed last time) applies the payment instead of skipping it
+ * 
+ * CHANGELOG v2.8.0:
+ * - Each Sales Receipt, Invoice and Payment gets a JSON snapshot of the booking
+ *   and the Stripe payment attached in QuickBooks (lib/source-snapshot.js)
+ * - Sales Receipt results include receiptId
+ * 
+ * CHANGELOG v2.7.0:
+ * - Documents are numbered from the ycbm DocNumber template (YCBM-{bookingRef});
+ *   a booking already posted under its number is returned as a duplicate, not posted again
+ * 
+ * CHANGELOG v2.6.0:
+ * - Bookings dated in a closed QB period are re-dated or refused per
+ *   QB_CLOSED_PERIOD_POLICY; the decision is recorded in the sync history (ycbm:{bookingRef})
+ * 
+ * CHANGELOG v2.5.0:
+ * - Documents are dated by the Stripe payment (paid flows) or the booking
+ *   (paylater) instead of the run date; invoice DueDate = TxnDate + configured terms
+ * 
+ * CHANGELOG v2.4.0:
+ * - Paid flows post the Stripe processing fee against the clearing account
+ *   (lib/stripe-fees.js); result includes stripeFee
+ * 
+ * CHANGELOG v2.3.0:
+ * - Sales Receipts and Payments use the Stripe payment route (lib/payment-routing.js)
+ *   instead of hardcoded PaymentMethod 1 / deposit account 154
+ * 
+ * CHANGELOG v2.2.0:
+ * - Customers are resolved through the customer link table (booking email)
  * 
  * CHANGELOG v2.1.1:
  * - Fixed DocNumber undefined in logs (fallback to Invoice ID)
@@ -37,6 +69,16 @@ import {
   sendInvoice,
   getItemPrice
 } from '../lib/quickbooks.js';
+import { customerIdentity } from '../lib/customer-links.js';
+import { resolvePaymentRouting } from '../lib/payment-routing.js';
+import { postStripeFeeSafely } from '../lib/stripe-fees.js';
+import { getBookingTxnDate, getInvoiceTerms } from '../lib/txn-dates.js';
+import { recordClosedPeriodDecision } from '../lib/sync-ledger.js';
+import { assignDocNumber } from '../lib/doc-numbers.js';
+import { buildSourceSnapshot, attachSourceSnapshot } from '../lib/source-snapshot.js';
+
+// YCBM bookings are paid through Stripe
+const YCBM_PAYMENT_METHOD = 'stripe';
 
 // Default prices (used for paylater when no Stripe data)
 const DEFAULT_BST_PRICE = 1750;
@@ -52,6 +94,8 @@ export default async function handler(req, res) {
   console.log('📅 YCBM WEBHOOK RECEIVED');
   console.log('═'.repeat(60));
   
+  let booking = null;
+  
   try {
     const payload = req.body;
     
@@ -62,7 +106,7 @@ export default async function handler(req, res) {
     }
     
     // Parse the booking data
-    const booking = parseYCBMPayload(payload);
+    booking = parseYCBMPayload(payload);
     
     console.log(`\n👤 Customer: ${booking.fullName}`);
     console.log(`📧 Email: ${booking.email}`);
@@ -85,7 +129,7 @@ export default async function handler(req, res) {
       lastName: booking.lastName,
       email: booking.email,
       phone: booking.phone
-    });
+    }, customerIdentity('ycbm', booking.email));
     console.log(`\n✓ QB Customer: ${customer.DisplayName} (ID: ${customer.Id})`);
     
     // Search Stripe for payment (extended to 60 min for testing)
@@ -125,6 +169,22 @@ export default async function handler(req, res) {
         break;
     }
     
+    if (result.closedPeriod) {
+      await recordClosedPeriodDecision('ycbm', booking.bookingRef, result.closedPeriod, { flow });
+    }
+    
+    // Keep what the documents were built from with them, for audits (non-fatal)
+    if (!result.duplicate) {
+      const attachments = await attachSourceSnapshot(qb, buildSourceSnapshot({
+        source: 'ycbm',
+        sourceId: booking.bookingRef || booking.bookingId,
+        record: { ...booking, flow, prices: { bst: bstPrice, additional: addPrice } },
+        stripe: stripePayment.found ? { ...stripePayment, fee: result.stripeFee || null } : null
+      }), getBookingDocuments(result));
+      
+      if (attachments) result.attachments = attachments;
+    }
+    
     console.log(`\n${'═'.repeat(60)}`);
     console.log(`✅ SUCCESS - ${flow}`);
     console.log(`   QB Record: ${result.type} #${result.docNumber}`);
@@ -143,6 +203,11 @@ export default async function handler(req, res) {
     console.error(`\n❌ ERROR: ${error.message}`);
     console.error(error.stack);
     
+    // Refused by the closed-period guard (QB_CLOSED_PERIOD_POLICY=hold)
+    if (error.closedPeriod && booking?.bookingRef) {
+      await recordClosedPeriodDecision('ycbm', booking.bookingRef, error.closedPeriod);
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -186,15 +251,19 @@ async function handlePaylater(qb, customer, booking, bstPrice, addPrice) {
     });
   }
   
-  // Calculate due date (NET 30)
-  const dueDate = new Date();
-  dueDate.setDate(dueDate.getDate() + 30);
+  const txnDate = getBookingTxnDate(booking);
+  const numbering = await numberBookingDocument(qb, 'Invoice', booking, txnDate);
+  if (numbering?.existing) {
+    return existingBookingResult('Invoice', numbering.existing);
+  }
   
   const invoiceData = {
     CustomerRef: { value: String(customer.Id) },
     BillEmail: { Address: booking.email },
     Line: lines,
-    DueDate: dueDate.toISOString().split('T')[0],
+    TxnDate: txnDate,
+    ...(numbering && { DocNumber: numbering.docNumber }),
+    ...getInvoiceTerms(txnDate),
     PrivateNote: `YCBM Booking: ${booking.bookingRef}`
   };
   
@@ -219,7 +288,8 @@ async function handlePaylater(qb, customer, booking, bstPrice, addPrice) {
     docNumber: docNum,
     invoiceId: invoice.Id,
     total: invoice.TotalAmt,
-    invoiceSent
+    invoiceSent,
+    ...(invoice.closedPeriod && { closedPeriod: invoice.closedPeriod })
   };
 }
 
@@ -230,6 +300,8 @@ async function handlePaylater(qb, customer, booking, bstPrice, addPrice) {
 async function handleSimplePaid(qb, customer, booking, stripePayment) {
   console.log('\n🧾 Creating Sales Receipt (simple paid)...');
   
+  const payment = await resolvePaymentRouting(qb, YCBM_PAYMENT_METHOD);
+  
   const amountPaid = centsToDollars(stripePayment.amountPaid);
   
   const lines = [{
@@ -243,23 +315,38 @@ async function handleSimplePaid(qb, customer, booking, stripePayment) {
     Description: 'Building Strong Teams'
   }];
   
+  const txnDate = getBookingTxnDate(booking, stripePayment);
+  const numbering = await numberBookingDocument(qb, 'SalesReceipt', booking, txnDate);
+  if (numbering?.existing) {
+    return existingBookingResult('SalesReceipt', numbering.existing);
+  }
+  
   const receiptData = {
     CustomerRef: { value: String(customer.Id) },
     BillEmail: { Address: booking.email },
+    TxnDate: txnDate,
+    ...(numbering && { DocNumber: numbering.docNumber }),
     Line: lines,
     PrivateNote: `YCBM Booking: ${booking.bookingRef}`,
-    PaymentMethodRef: { value: '1' },
-    DepositToAccountRef: { value: process.env.QB_DEPOSIT_ACCOUNT || '154' }
+    PaymentMethodRef: payment.paymentMethodRef,
+    DepositToAccountRef: payment.depositToAccountRef
   };
   
   const receipt = await createSalesReceipt(qb, receiptData);
   const docNum = receipt.DocNumber || `ID:${receipt.Id}`;
   console.log(`   ✓ Sales Receipt created: #${docNum}`);
   
+  const stripeFee = await postBookingFee(qb, booking, stripePayment, payment, {
+    type: 'SalesReceipt', id: String(receipt.Id), docNumber: receipt.DocNumber
+  });
+  
   return {
     type: 'SalesReceipt',
     docNumber: docNum,
-    total: receipt.TotalAmt
+    receiptId: receipt.Id,
+    total: receipt.TotalAmt,
+    ...(receipt.closedPeriod && { closedPeriod: receipt.closedPeriod }),
+    ...(stripeFee && { stripeFee })
   };
 }
 
@@ -270,6 +357,8 @@ async function handleSimplePaid(qb, customer, booking, stripePayment) {
 async function handlePaidWithDiscount(qb, customer, booking, stripePayment) {
   console.log('\n🧾 Creating Sales Receipt (with discount)...');
   
+  const payment = await resolvePaymentRouting(qb, YCBM_PAYMENT_METHOD);
+  
   const subtotal = centsToDollars(stripePayment.subtotal);
   const discountAmount = centsToDollars(stripePayment.discountAmount);
   const couponCode = stripePayment.couponCode || 'Discount';
@@ -299,13 +388,21 @@ async function handlePaidWithDiscount(qb, customer, booking, stripePayment) {
     }
   ];
   
+  const txnDate = getBookingTxnDate(booking, stripePayment);
+  const numbering = await numberBookingDocument(qb, 'SalesReceipt', booking, txnDate);
+  if (numbering?.existing) {
+    return existingBookingResult('SalesReceipt', numbering.existing);
+  }
+  
   const receiptData = {
     CustomerRef: { value: String(customer.Id) },
     BillEmail: { Address: booking.email },
+    TxnDate: txnDate,
+    ...(numbering && { DocNumber: numbering.docNumber }),
     Line: lines,
     PrivateNote: `YCBM Booking: ${booking.bookingRef} | Coupon: ${couponCode}`,
-    PaymentMethodRef: { value: '1' },
-    DepositToAccountRef: { value: process.env.QB_DEPOSIT_ACCOUNT || '154' }
+    PaymentMethodRef: payment.paymentMethodRef,
+    DepositToAccountRef: payment.depositToAccountRef
   };
   
   const receipt = await createSalesReceipt(qb, receiptData);
@@ -313,12 +410,19 @@ async function handlePaidWithDiscount(qb, customer, booking, stripePayment) {
   console.log(`   ✓ Sales Receipt created: #${docNum}`);
   console.log(`   ✓ Discount applied: -$${discountAmount.toFixed(2)} (${couponCode})`);
   
+  const stripeFee = await postBookingFee(qb, booking, stripePayment, payment, {
+    type: 'SalesReceipt', id: String(receipt.Id), docNumber: receipt.DocNumber
+  });
+  
   return {
     type: 'SalesReceipt',
     docNumber: docNum,
+    receiptId: receipt.Id,
     total: receipt.TotalAmt,
+    ...(receipt.closedPeriod && { closedPeriod: receipt.closedPeriod }),
     discountApplied: discountAmount,
-    couponCode
+    couponCode,
+    ...(stripeFee && { stripeFee })
   };
 }
 
@@ -424,27 +528,43 @@ async function handlePartialPayment(qb, customer, booking, stripePayment, bstPri
   console.log(`      Stripe Payment: -$${amountPaid.toFixed(2)}`);
   console.log(`      Balance Due: $${balanceDue.toFixed(2)}`);
   
-  // Calculate due date (NET 30)
-  const dueDate = new Date();
-  dueDate.setDate(dueDate.getDate() + 30);
+  const txnDate = getBookingTxnDate(booking, stripePayment);
   
-  // Create the invoice
-  const invoiceData = {
-    CustomerRef: { value: String(customer.Id) },
-    BillEmail: { Address: booking.email },
-    Line: invoiceLines,
-    DueDate: dueDate.toISOString().split('T')[0],
-    PrivateNote: `YCBM Booking: ${booking.bookingRef} | Stripe payment: $${amountPaid.toFixed(2)}`
-  };
+  // An invoice already posted is done only if its payment was applied too -
+  // a retry after a failed payment applies it to the existing invoice
+  const numbering = await numberBookingDocument(qb, 'Invoice', booking, txnDate);
+  let invoice = numbering?.existing || null;
   
-  const invoice = await createInvoice(qb, invoiceData);
+  if (invoice && hasPaymentApplied(invoice)) {
+    return existingBookingResult('Invoice+Payment', invoice);
+  }
+  
+  if (invoice) {
+    console.log(`   ↩ Invoice #${invoice.DocNumber || invoice.Id} exists without its Stripe payment - applying it`);
+  } else {
+    const invoiceData = {
+      CustomerRef: { value: String(customer.Id) },
+      BillEmail: { Address: booking.email },
+      Line: invoiceLines,
+      TxnDate: txnDate,
+      ...(numbering && { DocNumber: numbering.docNumber }),
+      ...getInvoiceTerms(txnDate),
+      PrivateNote: `YCBM Booking: ${booking.bookingRef} | Stripe payment: $${amountPaid.toFixed(2)}`
+    };
+    
+    invoice = await createInvoice(qb, invoiceData);
+    console.log(`   ✓ Invoice created: #${invoice.DocNumber || `ID:${invoice.Id}`} (Total: $${invoice.TotalAmt})`);
+  }
   const docNum = invoice.DocNumber || `ID:${invoice.Id}`;
-  console.log(`   ✓ Invoice created: #${docNum} (Total: $${invoice.TotalAmt})`);
   
   // Apply the Stripe payment against the invoice
+  const routing = await resolvePaymentRouting(qb, YCBM_PAYMENT_METHOD);
   const paymentData = {
     CustomerRef: { value: String(customer.Id) },
+    TxnDate: txnDate,
     TotalAmt: amountPaid,
+    PaymentMethodRef: routing.paymentMethodRef,
+    DepositToAccountRef: routing.depositToAccountRef,
     Line: [{
       Amount: amountPaid,
       LinkedTxn: [{
@@ -458,6 +578,10 @@ async function handlePartialPayment(qb, customer, booking, stripePayment, bstPri
   const payment = await createPayment(qb, paymentData);
   console.log(`   ✓ Payment applied: $${amountPaid.toFixed(2)} (Payment ID: ${payment.Id})`);
   
+  const stripeFee = await postBookingFee(qb, booking, stripePayment, routing, {
+    type: 'Payment', id: String(payment.Id), docNumber: invoice.DocNumber
+  });
+  
   // Send invoice showing balance due
   let invoiceSent = false;
   if (balanceDue > 0) {
@@ -480,6 +604,73 @@ async function handlePartialPayment(qb, customer, booking, stripePayment, bstPri
     paymentId: payment.Id,
     paymentAmount: amountPaid,
     balanceDue: balanceDue,
-    invoiceSent
+    invoiceSent,
+    ...(numbering?.existing && { paymentRecovered: true }),
+    ...(invoice.closedPeriod && { closedPeriod: invoice.closedPeriod }),
+    ...(stripeFee && { stripeFee })
+  };
+}
+
+/**
+ * Whether an invoice has a payment applied (linked Payment, or a balance below its total)
+ */
+function hasPaymentApplied(invoice) {
+  return (invoice.LinkedTxn || []).some(txn => txn.TxnType === 'Payment')
+    || parseFloat(invoice.Balance) < parseFloat(invoice.TotalAmt);
+}
+
+/**
+ * Post the Stripe fee behind a booking's payment (non-fatal)
+ */
+async function postBookingFee(qb, booking, stripePayment, routing, sale) {
+  const stripeId = stripePayment.chargeId || stripePayment.paymentIntentId;
+  if (!stripeId) {
+    console.log('   ⚠ No Stripe charge/PaymentIntent ID - fee not posted');
+    return null;
+  }
+  
+  return postStripeFeeSafely(qb, {
+    stripeId,
+    sale: { source: 'ycbm', orderId: booking.bookingRef, ...sale },
+    clearingAccountRef: routing.depositToAccountRef,
+    label: `YCBM Booking ${booking.bookingRef}`
+  });
+}
+
+/**
+ * DocNumber for a booking's document, or the document already posted under it
+ * (a repeated webhook); null when the booking has no ref or numbering is off
+ */
+async function numberBookingDocument(qb, entityType, booking, txnDate) {
+  if (!booking.bookingRef) return null;
+  
+  return assignDocNumber(qb, {
+    source: 'ycbm',
+    entityType,
+    values: { bookingRef: booking.bookingRef, bookingId: booking.bookingId, date: txnDate },
+    memo: `YCBM Booking: ${booking.bookingRef}`
+  });
+}
+
+/**
+ * The QB transactions a flow created, as attachment targets
+ */
+function getBookingDocuments(result) {
+  return [
+    result.receiptId && { type: 'SalesReceipt', id: result.receiptId },
+    result.invoiceId && { type: 'Invoice', id: result.invoiceId },
+    result.paymentId && { type: 'Payment', id: result.paymentId }
+  ].filter(Boolean);
+}
+
+function existingBookingResult(type, doc) {
+  console.log(`   ⏭ Booking already posted as ${doc.DocNumber} (ID ${doc.Id}) - not posting again`);
+  
+  return {
+    type,
+    docNumber: doc.DocNumber,
+    ...(type === 'SalesReceipt' ? { receiptId: doc.Id } : { invoiceId: doc.Id }),
+    total: doc.TotalAmt,
+    duplicate: true
   };
 }
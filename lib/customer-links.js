@@ -0,0 +1,125 @@
+/**
+ * Customer Link Table
+ *
+ * @version 1.0.0
+ * @description Persistent map from source-system customer identities to
+ *              QuickBooks Customer IDs, so a customer stays on one QB record
+ *              even after their email changes
+ * @lastUpdated 2026-10-19
+ *
+ * Identities:
+ *   woocommerce - WooCommerce customer_id (registered customers only; guests have 0)
+ *   ycbm        - YouCanBookMe booking email
+ *   ids         - IDS leader email
+ *
+ * KV layout:
+ *   customer_link:{source}:{externalId} - { source, externalId, qbCustomerId, displayName, linkedBy, linkedAt }
+ *   customer_link_ids                   - Index of "{source}:{externalId}" (newest first)
+ */
+
+import { kv } from '@vercel/kv';
+
+const LINK_PREFIX = 'customer_link:';
+const LINK_INDEX_KEY = 'customer_link_ids';
+
+export const LINK_SOURCES = ['woocommerce', 'ycbm', 'ids'];
+
+/**
+ * Normalize an identity (emails are case-insensitive)
+ *
+ * @param {string} source - 'woocommerce', 'ycbm' or 'ids'
+ * @param {string|number} externalId - Customer ID or email in the source system
+ * @returns {Object|null} { source, externalId } or null if there is nothing to link
+ */
+export function customerIdentity(source, externalId) {
+  if (!LINK_SOURCES.includes(source)) {
+    throw new Error(`Unknown customer link source: ${source}`);
+  }
+
+  const id = String(externalId ?? '').trim().toLowerCase();
+  if (!id || id === '0') return null;
+
+  return { source, externalId: id };
+}
+
+function linkId(identity) {
+  return `${identity.source}:${identity.externalId}`;
+}
+
+/**
+ * Get the QB customer linked to an identity
+ *
+ * Throws if KV is unavailable - callers decide whether to fall back.
+ *
+ * @param {Object} identity - From customerIdentity()
+ * @returns {Object|null} Link or null if not linked
+ */
+export async function getCustomerLink(identity) {
+  if (!identity) return null;
+  return kv.get(`${LINK_PREFIX}${linkId(identity)}`);
+}
+
+/**
+ * Link an identity to a QB customer (replaces any existing link)
+ *
+ * @param {Object} identity - From customerIdentity()
+ * @param {string} qbCustomerId - QuickBooks Customer ID
+ * @param {Object} options - { displayName, linkedBy: 'auto' | 'admin' }
+ * @returns {Object} The stored link
+ */
+export async function linkCustomer(identity, qbCustomerId, { displayName = null, linkedBy = 'auto' } = {}) {
+  const id = linkId(identity);
+  const link = {
+    ...identity,
+    qbCustomerId: String(qbCustomerId),
+    displayName,
+    linkedBy,
+    linkedAt: new Date().toISOString()
+  };
+
+  await kv.set(`${LINK_PREFIX}${id}`, link);
+  await kv.lrem(LINK_INDEX_KEY, 0, id);
+  await kv.lpush(LINK_INDEX_KEY, id);
+
+  console.log(`🔗 Customer link: ${id} → QB ${link.qbCustomerId} (${linkedBy})`);
+  return link;
+}
+
+/**
+ * Remove the link for an identity
+ *
+ * @param {Object} identity - From customerIdentity()
+ * @returns {boolean} True if a link existed
+ */
+export async function unlinkCustomer(identity) {
+  const id = linkId(identity);
+  const removed = await kv.del(`${LINK_PREFIX}${id}`);
+  await kv.lrem(LINK_INDEX_KEY, 0, id);
+
+  console.log(`🔗 Customer link removed: ${id}`);
+  return removed > 0;
+}
+
+/**
+ * List customer links (newest first)
+ *
+ * @param {Object} options - { limit, source, qbCustomerId }
+ * @returns {Array} Links
+ */
+export async function listCustomerLinks({ limit = 100, source = null, qbCustomerId = null } = {}) {
+  const ids = await kv.lrange(LINK_INDEX_KEY, 0, -1);
+  const links = [];
+
+  for (const id of ids || []) {
+    if (source && !id.startsWith(`${source}:`)) continue;
+
+    const link = await kv.get(`${LINK_PREFIX}${id}`);
+    if (!link) continue;
+    if (qbCustomerId && link.qbCustomerId !== String(qbCustomerId)) continue;
+
+    links.push(link);
+    if (links.length >= limit) break;
+  }
+
+  return links;
+}
@@ -0,0 +1,142 @@
+/**
+ * Customer Profile Mapping Configuration
+ *
+ * Maps customer details from WooCommerce / YCBM / IDS to QuickBooks Customer
+ * fields, and decides which side wins when an existing QB customer differs.
+ *
+ * @version 1.0.0
+ * @lastUpdated 2026-10-19
+ *
+ * Field policies:
+ *   'source'     - source system wins; QB is updated whenever it differs
+ *   'fill'       - only fills QB fields that are empty
+ *   'quickbooks' - QB wins; never updated from the source
+ *
+ * Override per field with QB_CUSTOMER_FIELD_POLICY (JSON env var), e.g.
+ *   {"phone": "source", "billAddr": "fill"}
+ */
+
+const DEFAULT_FIELD_POLICY = {
+  name: 'quickbooks',      // GivenName / FamilyName (bookkeeper may have cleaned these up)
+  companyName: 'source',   // CompanyName
+  phone: 'fill',           // PrimaryPhone
+  billAddr: 'source'       // BillAddr
+};
+
+const POLICIES = ['source', 'fill', 'quickbooks'];
+
+/**
+ * Get the effective field policy (defaults + QB_CUSTOMER_FIELD_POLICY)
+ * @returns {Object} { name, companyName, phone, billAddr }
+ */
+export function getCustomerFieldPolicy() {
+  const policy = { ...DEFAULT_FIELD_POLICY };
+  const raw = process.env.QB_CUSTOMER_FIELD_POLICY;
+  if (!raw) return policy;
+
+  try {
+    for (const [field, value] of Object.entries(JSON.parse(raw))) {
+      if (field in DEFAULT_FIELD_POLICY && POLICIES.includes(value)) {
+        policy[field] = value;
+      } else {
+        console.warn(`⚠️  Ignoring QB_CUSTOMER_FIELD_POLICY entry ${field}: ${value}`);
+      }
+    }
+  } catch (error) {
+    console.error(`⚠️  QB_CUSTOMER_FIELD_POLICY is not valid JSON - using defaults: ${error.message}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Build the QB profile fields for a customer
+ * @param {Object} customerData - { firstName, lastName, company, phone, address }
+ * @returns {Object} QB Customer fields (only those with values)
+ */
+export function buildCustomerProfile(customerData) {
+  const { firstName, lastName, company, phone, address } = customerData;
+  const profile = {};
+
+  if (firstName) profile.GivenName = firstName;
+  if (lastName) profile.FamilyName = lastName;
+  if (company) profile.CompanyName = company;
+  if (phone) profile.PrimaryPhone = { FreeFormNumber: phone };
+
+  const billAddr = buildBillAddr(address);
+  if (billAddr) profile.BillAddr = billAddr;
+
+  return profile;
+}
+
+/**
+ * Work out which fields of an existing QB customer should be updated
+ *
+ * @param {Object} existing - QB Customer
+ * @param {Object} customerData - Incoming customer details
+ * @returns {Object} { fields, changed } - sparse update fields and the policy fields that changed
+ */
+export function getCustomerUpdates(existing, customerData) {
+  const policy = getCustomerFieldPolicy();
+  const incoming = buildCustomerProfile(customerData);
+  const fields = {};
+  const changed = [];
+
+  const apply = (policyField, qbFields, isEmpty, differs) => {
+    const mode = policy[policyField];
+    if (mode === 'quickbooks') return;
+    if (!qbFields.some(qbField => incoming[qbField] !== undefined)) return;
+
+    const shouldUpdate = mode === 'fill' ? isEmpty() : differs();
+    if (!shouldUpdate) return;
+
+    for (const qbField of qbFields) {
+      if (incoming[qbField] !== undefined) fields[qbField] = incoming[qbField];
+    }
+    changed.push(policyField);
+  };
+
+  apply('name', ['GivenName', 'FamilyName'],
+    () => !existing.GivenName && !existing.FamilyName,
+    () => normalize(existing.GivenName) !== normalize(incoming.GivenName) ||
+          normalize(existing.FamilyName) !== normalize(incoming.FamilyName));
+
+  apply('companyName', ['CompanyName'],
+    () => !existing.CompanyName,
+    () => normalize(existing.CompanyName) !== normalize(incoming.CompanyName));
+
+  apply('phone', ['PrimaryPhone'],
+    () => !existing.PrimaryPhone?.FreeFormNumber,
+    () => digits(existing.PrimaryPhone?.FreeFormNumber) !== digits(incoming.PrimaryPhone?.FreeFormNumber));
+
+  apply('billAddr', ['BillAddr'],
+    () => !existing.BillAddr?.Line1 && !existing.BillAddr?.City,
+    () => ADDR_FIELDS.some(field => normalize(existing.BillAddr?.[field]) !== normalize(incoming.BillAddr[field])));
+
+  return { fields, changed };
+}
+
+const ADDR_FIELDS = ['Line1', 'Line2', 'City', 'CountrySubDivisionCode', 'PostalCode', 'Country'];
+
+function buildBillAddr(address) {
+  if (!address || (!address.line1 && !address.city && !address.postalCode)) {
+    return null;
+  }
+
+  return {
+    Line1: address.line1 || '',
+    Line2: address.line2 || '',
+    City: address.city || '',
+    CountrySubDivisionCode: address.state || '',
+    PostalCode: address.postalCode || '',
+    Country: address.country || ''
+  };
+}
+
+function normalize(value) {
+  return (value || '').toString().trim().toLowerCase();
+}
+
+function digits(value) {
+  return (value || '').toString().replace(/\D/g, '');
+}
@@ -0,0 +1,109 @@
+/**
+ * Discount (Coupon) Mapping Configuration
+ *
+ * Maps WooCommerce coupon codes to QuickBooks discount items, so promo,
+ * partner and scholarship discounts land in different income accounts.
+ *
+ * @version 1.0.0
+ * @lastUpdated 2026-10-19
+ *
+ * Matching order:
+ * 1. Exact code in QB_COUPON_ITEM_MAP (JSON env var), e.g.
+ *      {"SPRING25": "45", "ACME-TEAM": "partner"}
+ *    Values are a QB Item ID or a category key from DISCOUNT_MAP below.
+ * 2. Category keywords (case-insensitive prefix/substring of the coupon code)
+ * 3. Default category (promo → QB_ITEM_DISCOUNT)
+ */
+
+/**
+ * Discount categories
+ * A category without its own item ID falls back to QB_ITEM_DISCOUNT
+ */
+const DISCOUNT_MAP = {
+  scholarship: {
+    keywords: ['scholar'],
+    qbItemId: process.env.QB_ITEM_DISCOUNT_SCHOLARSHIP || null,
+    qbItemName: 'Scholarship Discount'
+  },
+
+  partner: {
+    keywords: ['partner'],
+    qbItemId: process.env.QB_ITEM_DISCOUNT_PARTNER || null,
+    qbItemName: 'Partner Discount'
+  },
+
+  // Default for any other coupon
+  promo: {
+    keywords: [],
+    qbItemId: process.env.QB_ITEM_DISCOUNT || null,
+    qbItemName: 'Discount'
+  }
+};
+
+const DEFAULT_CATEGORY = 'promo';
+
+/**
+ * Parse QB_COUPON_ITEM_MAP (exact coupon code overrides)
+ * Keys are normalized to lowercase
+ */
+function getCouponOverrides() {
+  const raw = process.env.QB_COUPON_ITEM_MAP;
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(parsed).map(([code, target]) => [code.toLowerCase().trim(), String(target)])
+    );
+  } catch (error) {
+    console.error(`⚠️  QB_COUPON_ITEM_MAP is not valid JSON - ignoring: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Map a WooCommerce coupon code to a QuickBooks discount item
+ * @param {string} code - Coupon code
+ * @returns {Object} { qbItemId, qbItemName, category, matchedBy }
+ */
+export function mapCouponToQuickBooks(code) {
+  const codeLower = (code || '').toLowerCase().trim();
+  const overrides = getCouponOverrides();
+
+  // 1. Exact code override → category key or QB Item ID
+  if (codeLower && overrides[codeLower]) {
+    const target = overrides[codeLower];
+
+    if (DISCOUNT_MAP[target]) {
+      return categoryMapping(target, 'code');
+    }
+
+    return {
+      qbItemId: target,
+      qbItemName: `Discount (${code.toUpperCase()})`,
+      category: null,
+      matchedBy: 'code'
+    };
+  }
+
+  // 2. Category keywords
+  for (const [category, config] of Object.entries(DISCOUNT_MAP)) {
+    if (config.keywords.some(keyword => codeLower.includes(keyword))) {
+      return categoryMapping(category, 'keyword');
+    }
+  }
+
+  // 3. Default
+  return categoryMapping(DEFAULT_CATEGORY, 'default');
+}
+
+function categoryMapping(category, matchedBy) {
+  const config = DISCOUNT_MAP[category];
+
+  return {
+    qbItemId: config.qbItemId || DISCOUNT_MAP[DEFAULT_CATEGORY].qbItemId,
+    qbItemName: config.qbItemName,
+    category,
+    matchedBy
+  };
+}
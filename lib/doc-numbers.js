@@ -0,0 +1,202 @@
+/**
+ * QuickBooks DocNumber Scheme
+ *
+ * @version 1.0.0
+ * @description Gives synced documents a predictable DocNumber per source
+ *              (WOO-780, YCBM-ABCD-1234, IDS-202610-001) that also serves as
+ *              the lookup key for "was this already posted?"
+ * @lastUpdated 2026-10-19
+ *
+ * Templates (QB_DOCNUMBER_TEMPLATES JSON env var overrides these; "" turns a source off):
+ *   {"woocommerce": "WOO-{orderNumber}", "ycbm": "YCBM-{bookingRef}", "ids": "IDS-{yyyymm}-{seq}"}
+ *
+ * Placeholders: any value passed by the caller ({orderNumber}, {orderId},
+ * {bookingRef}, {bookingId}), date parts of values.date ({yyyy}, {mm}, {dd},
+ * {yyyymm}, {yyyymmdd}) and {seq} - the next free number for the rest of the
+ * template (3 digits).
+ *
+ * QB allows 21 characters. Longer numbers drop the punctuation from the
+ * substituted values, then keep the end of the longest value. The result is
+ * deterministic, so the same order always renders the same number.
+ *
+ * Collisions: a document already holding the number is ours if its
+ * PrivateNote is the caller's memo (the order was already posted - the
+ * caller should use it instead of posting again). Anyone else's document
+ * pushes us to a "-2", "-3", ... suffix.
+ *
+ * QuickBooks only keeps a DocNumber we send when Custom transaction numbers
+ * is turned on (Account and Settings → Sales → Sales form content).
+ */
+
+import { findSalesReceipts, findInvoices } from './quickbooks.js';
+
+const DEFAULT_TEMPLATES = {
+  woocommerce: 'WOO-{orderNumber}',
+  ycbm: 'YCBM-{bookingRef}',
+  ids: 'IDS-{yyyymm}-{seq}'
+};
+
+const MAX_DOC_NUMBER_LENGTH = 21;
+const SEQ_DIGITS = 3;
+const MAX_COLLISION_SUFFIX = 9;
+
+const FINDERS = {
+  SalesReceipt: findSalesReceipts,
+  Invoice: findInvoices
+};
+
+/**
+ * Get the DocNumber template for a source
+ *
+ * @param {string} source - 'woocommerce', 'ycbm' or 'ids'
+ * @returns {string|null} Template, or null if numbering is off for the source
+ */
+export function getDocNumberTemplate(source) {
+  let overrides = {};
+
+  if (process.env.QB_DOCNUMBER_TEMPLATES) {
+    try {
+      overrides = JSON.parse(process.env.QB_DOCNUMBER_TEMPLATES);
+    } catch (error) {
+      console.error(`⚠️  QB_DOCNUMBER_TEMPLATES is not valid JSON - using defaults: ${error.message}`);
+    }
+  }
+
+  const template = source in overrides ? overrides[source] : DEFAULT_TEMPLATES[source];
+  return template || null;
+}
+
+/**
+ * Pick the DocNumber for a new document, or find the one already posted
+ *
+ * Only reads from QuickBooks.
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} params
+ * @param {string} params.source - 'woocommerce', 'ycbm' or 'ids'
+ * @param {string} params.entityType - 'SalesReceipt' or 'Invoice'
+ * @param {Object} params.values - Placeholder values, plus date (YYYY-MM-DD) for the date parts
+ * @param {string} params.memo - PrivateNote (or its leading part) that identifies our document
+ * @returns {Object|null} { docNumber, existing } - existing is the QB document already
+ *                        posted under this number, or null; null if numbering is off
+ */
+export async function assignDocNumber(qb, { source, entityType, values, memo }) {
+  const template = getDocNumberTemplate(source);
+  if (!template || !FINDERS[entityType]) return null;
+
+  if (template.includes('{seq}')) {
+    return assignSequenceNumber(qb, entityType, template, values, memo);
+  }
+
+  const base = fitTemplate(template, values, 0);
+
+  for (let attempt = 1; attempt <= MAX_COLLISION_SUFFIX; attempt++) {
+    const docNumber = attempt === 1 ? base : withSuffix(template, values, `-${attempt}`);
+    const holders = await findByDocNumber(qb, entityType, docNumber);
+
+    const ours = holders.find(doc => isOurDocument(doc, memo));
+    if (ours) {
+      console.log(`   🔢 ${entityType} ${docNumber} already exists (ID ${ours.Id}) for this ${source} document`);
+      return { docNumber, existing: ours };
+    }
+
+    if (holders.length === 0) {
+      return { docNumber, existing: null };
+    }
+
+    console.warn(`   ⚠ DocNumber ${docNumber} is taken by ${entityType} ${holders[0].Id} - trying the next suffix`);
+  }
+
+  throw new Error(`No free DocNumber for ${base} after ${MAX_COLLISION_SUFFIX} attempts`);
+}
+
+/**
+ * Find our document by its rendered DocNumber (and collision suffixes)
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} params - { source, entityType, values, memo } as for assignDocNumber()
+ * @returns {Object|null} QB document
+ */
+export async function findDocumentByDocNumber(qb, params) {
+  const assigned = await assignDocNumber(qb, params);
+  return assigned?.existing || null;
+}
+
+async function assignSequenceNumber(qb, entityType, template, values, memo) {
+  // Everything before {seq} is fixed for this period - list what's been used
+  const placeholder = '\u0000';
+  const rendered = fitTemplate(template, values, SEQ_DIGITS).replace('{seq}', placeholder);
+  const [prefix, suffix] = rendered.split(placeholder);
+
+  const used = await (FINDERS[entityType])(qb, [
+    { field: 'DocNumber', value: `${prefix}%`, operator: 'LIKE' },
+    { field: 'fetchAll', value: true }
+  ]);
+
+  const ours = used.find(doc => isOurDocument(doc, memo));
+  if (ours) {
+    console.log(`   🔢 ${entityType} ${ours.DocNumber} already exists (ID ${ours.Id}) for this document`);
+    return { docNumber: ours.DocNumber, existing: ours };
+  }
+
+  const taken = used
+    .map(doc => (doc.DocNumber || '').slice(prefix.length, suffix ? -suffix.length : undefined))
+    .filter(seq => /^\d+$/.test(seq))
+    .map(Number);
+
+  const next = (taken.length > 0 ? Math.max(...taken) : 0) + 1;
+  return { docNumber: `${prefix}${String(next).padStart(SEQ_DIGITS, '0')}${suffix}`, existing: null };
+}
+
+async function findByDocNumber(qb, entityType, docNumber) {
+  return FINDERS[entityType](qb, [{ field: 'DocNumber', value: docNumber, operator: '=' }]);
+}
+
+function isOurDocument(doc, memo) {
+  const note = doc.PrivateNote || '';
+  return !!memo && (note === memo || note.startsWith(`${memo} `));
+}
+
+function withSuffix(template, values, suffix) {
+  return fitTemplate(template, values, suffix.length) + suffix;
+}
+
+/**
+ * Fill a template, leaving room for `reserve` characters ({seq} or a suffix)
+ */
+function fitTemplate(template, values, reserve) {
+  const parts = template.split(/(\{[a-zA-Z]+\})/).filter(Boolean).map(part => {
+    const key = part.match(/^\{([a-zA-Z]+)\}$/)?.[1];
+    if (!key) return { literal: part };
+    if (key === 'seq') return { literal: part, seq: true };
+    return { value: String(resolvePlaceholder(key, values) ?? '') };
+  });
+
+  const length = () => parts.reduce((sum, part) => sum + (part.seq ? reserve : (part.literal ?? part.value).length), 0)
+    + (template.includes('{seq}') ? 0 : reserve);
+
+  // Too long: drop punctuation from the values first...
+  if (length() > MAX_DOC_NUMBER_LENGTH) {
+    parts.filter(part => part.value !== undefined).forEach(part => {
+      part.value = part.value.replace(/[^a-zA-Z0-9]/g, '');
+    });
+  }
+
+  // ...then keep the end of the longest value
+  while (length() > MAX_DOC_NUMBER_LENGTH) {
+    const longest = parts
+      .filter(part => part.value)
+      .sort((a, b) => b.value.length - a.value.length)[0];
+    if (!longest) break;
+    longest.value = longest.value.slice(1);
+  }
+
+  return parts.map(part => part.literal ?? part.value).join('');
+}
+
+function resolvePlaceholder(key, values) {
+  if (values[key] !== undefined && values[key] !== null) return values[key];
+
+  const [yyyy, mm, dd] = (values.date || new Date().toISOString()).split('T')[0].split('-');
+  return { yyyy, mm, dd, yyyymm: `${yyyy}${mm}`, yyyymmdd: `${yyyy}${mm}${dd}` }[key];
+}
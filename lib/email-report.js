@@ -1,7 +1,7 @@
 /**
  * Email Report Module
  * 
- * Sends billing reports via Gmail SMTP using Nodemailer
+ * Sends billing reports (and customer invoice notices) via Gmail SMTP using Nodemailer
  * 
  * Required Environment Variables:
  *   GMAIL_USER - Email address to send from
@@ -74,6 +74,69 @@ export async function sendBillingReport(reportData) {
   }
 }
 
+/**
+ * Notify a customer that an invoice they were sent has been voided
+ * 
+ * @param {Object} params
+ * @param {string} params.to - Customer email (invoice BillEmail)
+ * @param {string} params.customerName - Customer display name
+ * @param {string} params.invoiceNumber - QB invoice number
+ * @param {number} params.amount - Invoice total
+ * @param {string|number} params.orderNumber - WooCommerce order number
+ * @param {string} params.reason - Why it was voided (e.g. 'cancelled')
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendInvoiceVoidNotice({ to, customerName, invoiceNumber, amount, orderNumber, reason }) {
+  const transporter = getTransporter();
+  const fromEmail = process.env.GMAIL_USER;
+  const billingEmail = process.env.BILLING_EMAIL || 'billing@basleracademy.com';
+  const formattedAmount = `$${parseFloat(amount || 0).toFixed(2)}`;
+
+  const subject = `Invoice ${invoiceNumber} has been voided - no payment needed`;
+
+  const text = [
+    `Hi ${customerName || 'there'},`,
+    '',
+    `Invoice ${invoiceNumber} (${formattedAmount}) for order #${orderNumber} has been voided because the order was ${reason}.`,
+    'No payment is due, and you can disregard the original invoice email.',
+    '',
+    `Questions? Reply to this email or contact ${billingEmail}.`,
+    '',
+    'Basler Academy'
+  ].join('\n');
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+  <p>Hi ${customerName || 'there'},</p>
+  <p>Invoice <strong>${invoiceNumber}</strong> (${formattedAmount}) for order #${orderNumber} has been
+     <strong>voided</strong> because the order was ${reason}.</p>
+  <p>No payment is due, and you can disregard the original invoice email.</p>
+  <p>Questions? Reply to this email or contact <a href="mailto:${billingEmail}">${billingEmail}</a>.</p>
+  <p>Basler Academy</p>
+</body>
+</html>`;
+
+  console.log(`   📧 Sending void notice for invoice ${invoiceNumber} to ${to}...`);
+
+  try {
+    const result = await transporter.sendMail({
+      from: `"Basler Academy Billing" <${fromEmail}>`,
+      to,
+      replyTo: billingEmail,
+      subject,
+      text,
+      html
+    });
+    console.log(`   ✅ Void notice sent: ${result.messageId}`);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error(`   ❌ Void notice failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
 // ============================================================================
 // EMAIL CONTENT BUILDERS
 // ============================================================================
@@ -426,4 +489,4 @@ function calculateTotalAmount(invoices, isDryRun) {
   return total.toFixed(2);
 }
 
-export default { sendBillingReport };
+export default { sendBillingReport, sendInvoiceVoidNotice };
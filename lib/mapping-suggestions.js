@@ -0,0 +1,202 @@
+/**
+ * Product Mapping Suggestions
+ *
+ * @version 1.0.0
+ * @description Proposes WooCommerce product → QuickBooks item mappings by
+ *              SKU and name similarity
+ * @lastUpdated 2026-10-19
+ *
+ * Scoring:
+ *   sku  - WooCommerce SKU equals the QB Item Sku (case-insensitive) → 1.0
+ *   name - Dice coefficient of character bigrams on normalized names → 0..1
+ *
+ * Suggestions include a ready-to-POST body for /api/products.
+ */
+
+import { mapProductToQuickBooks } from './product-map.js';
+
+const DEFAULT_MIN_SCORE = 0.5;
+const MAX_CANDIDATES = 3;
+
+/**
+ * Build mapping suggestions for a catalog
+ *
+ * @param {Array} wooProducts - From listWooProducts() (variations[] optional)
+ * @param {Array} qbItems - From listItems()
+ * @param {Object} options - { minScore }
+ * @returns {Object} { summary, products[], unusedQbItems[] }
+ */
+export function suggestProductMappings(wooProducts, qbItems, { minScore = DEFAULT_MIN_SCORE } = {}) {
+  // Only sellable item types can go on a Sales Receipt / Invoice line
+  const sellable = qbItems.filter(item => ['Service', 'NonInventory', 'Inventory'].includes(item.Type));
+  const suggestedItemIds = new Set();
+  const results = [];
+
+  for (const product of flattenCatalog(wooProducts)) {
+    const current = mapProductToQuickBooks(product.name, product.sku, {
+      productId: product.productId,
+      variationId: product.variationId
+    });
+
+    const candidates = rankCandidates(product, sellable)
+      .filter(candidate => candidate.score >= minScore)
+      .slice(0, MAX_CANDIDATES);
+
+    const best = candidates[0] || null;
+    if (best) suggestedItemIds.add(best.qbItemId);
+
+    results.push({
+      ...product,
+      currentMapping: current.matched
+        ? { qbItemId: current.qbItemId, qbItemName: current.qbItemName, matchedBy: current.matchedBy, matchedKey: current.matchedKey }
+        : null,
+      status: getStatus(current, best),
+      candidates,
+      registryEntry: best ? buildRegistryEntry(product, best) : null
+    });
+  }
+
+  const mappedItemIds = new Set(
+    results.map(result => result.currentMapping?.qbItemId).filter(Boolean).map(String)
+  );
+
+  const unusedQbItems = sellable
+    .filter(item => !mappedItemIds.has(String(item.Id)) && !suggestedItemIds.has(String(item.Id)))
+    .map(item => ({ qbItemId: String(item.Id), name: item.Name, sku: item.Sku || null, type: item.Type }));
+
+  const count = status => results.filter(result => result.status === status).length;
+
+  return {
+    summary: {
+      wooProducts: results.length,
+      qbItems: sellable.length,
+      mapped: count('mapped'),
+      mismatch: count('mismatch'),
+      suggested: count('suggested'),
+      noMatch: count('no-match')
+    },
+    products: results,
+    unusedQbItems
+  };
+}
+
+/**
+ * One row per simple product and per variation (variable parents are skipped
+ * when their variations were fetched, since orders carry the variation)
+ */
+function flattenCatalog(wooProducts) {
+  const rows = [];
+
+  for (const product of wooProducts) {
+    const variations = Array.isArray(product.variations)
+      ? product.variations.filter(variation => typeof variation === 'object')
+      : [];
+
+    if (product.type === 'variable' && variations.length > 0) {
+      for (const variation of variations) {
+        const attributes = (variation.attributes || []).map(attr => attr.option).filter(Boolean).join(', ');
+        rows.push({
+          productId: product.id,
+          variationId: variation.id,
+          name: attributes ? `${product.name} - ${attributes}` : product.name,
+          sku: variation.sku || product.sku || null,
+          price: parseFloat(variation.price) || null
+        });
+      }
+      continue;
+    }
+
+    rows.push({
+      productId: product.id,
+      variationId: null,
+      name: product.name,
+      sku: product.sku || null,
+      price: parseFloat(product.price) || null
+    });
+  }
+
+  return rows;
+}
+
+function rankCandidates(product, qbItems) {
+  const skuLower = (product.sku || '').toLowerCase().trim();
+
+  return qbItems
+    .map(item => {
+      const skuMatch = skuLower && (item.Sku || '').toLowerCase().trim() === skuLower;
+      const score = skuMatch ? 1 : nameSimilarity(product.name, item.Name);
+
+      return {
+        qbItemId: String(item.Id),
+        qbItemName: item.Name,
+        qbSku: item.Sku || null,
+        qbPrice: item.UnitPrice ?? null,
+        matchedBy: skuMatch ? 'sku' : 'name',
+        score: Math.round(score * 100) / 100
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+function getStatus(current, best) {
+  if (current.matched) {
+    // Flag mappings that disagree with a confident SKU match
+    return best && best.matchedBy === 'sku' && best.qbItemId !== String(current.qbItemId) ? 'mismatch' : 'mapped';
+  }
+  return best ? 'suggested' : 'no-match';
+}
+
+function buildRegistryEntry(product, candidate) {
+  return {
+    key: slugify(product.name),
+    qbItemId: candidate.qbItemId,
+    qbItemName: candidate.qbItemName,
+    sku: product.sku,
+    productIds: product.variationId ? [] : [product.productId],
+    variationIds: product.variationId ? [product.variationId] : [],
+    defaultPrice: candidate.qbPrice ?? product.price ?? 0
+  };
+}
+
+/**
+ * Dice coefficient over character bigrams (order-insensitive, typo tolerant)
+ */
+function nameSimilarity(a, b) {
+  const bigramsA = bigrams(normalizeName(a));
+  const bigramsB = bigrams(normalizeName(b));
+  if (bigramsA.length === 0 || bigramsB.length === 0) return 0;
+
+  const counts = new Map();
+  bigramsA.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let overlap = 0;
+  for (const gram of bigramsB) {
+    const available = counts.get(gram) || 0;
+    if (available > 0) {
+      overlap++;
+      counts.set(gram, available - 1);
+    }
+  }
+
+  return (2 * overlap) / (bigramsA.length + bigramsB.length);
+}
+
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&amp;/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.slice(i, i + 2));
+  }
+  return grams;
+}
+
+function slugify(name) {
+  return normalizeName(name).replace(/\s+/g, '-').substring(0, 60);
+}
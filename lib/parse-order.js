@@ -4,8 +4,38 @@
  * Transforms WooCommerce webhook payload into normalized order object
  * for QuickBooks processing.
  * 
- * @version 1.2.0
- * @lastUpdated 2026-01-02
+ * @version 1.8.2
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.8.2:
+ * - Validation fails when a taxed rate has no QB_TAX_RATE_MAP entry, so the
+ *   order is held instead of failing (and retrying) when the document is built
+ * 
+ * CHANGELOG v1.8.1:
+ * - Validation fails when the order's tax rates map to different QB tax codes
+ * 
+ * CHANGELOG v1.8.0:
+ * - Added dateCompleted (for the QB TxnDate, see lib/txn-dates.js)
+ * 
+ * CHANGELOG v1.7.0:
+ * - Line items carry productId / variationId and the mapping rule that matched
+ *   (matchedBy / matchedKey) for auditing
+ * 
+ * CHANGELOG v1.6.0:
+ * - customer.customerId carries the WooCommerce customer ID (for the customer link table)
+ * 
+ * CHANGELOG v1.5.0:
+ * - Parses fee_lines and shipping_lines into order.feeLines / order.shippingLines,
+ *   each mapped to its own QB item; both count toward totals and taxable amounts
+ * 
+ * CHANGELOG v1.4.0:
+ * - Parses sales tax: order.tax (total + one entry per WooCommerce tax rate,
+ *   mapped to QB TaxCode/TaxRate) and per-line taxAmount / taxable
+ * 
+ * CHANGELOG v1.3.0:
+ * - Discount now covers every coupon: discount.lines has one entry per coupon
+ *   with its own code, amount and mapped QB discount item
+ * - discount.amount is the sum of all coupons; discount.code lists every code
  * 
  * CHANGELOG v1.2.0:
  * - Added discount extraction from coupon_lines
@@ -18,7 +48,9 @@
  * - Paylater orders now invoice at standard rates regardless of WooCommerce discount
  */
 
-import { mapProductToQuickBooks } from './product-map.js';
+import { mapProductToQuickBooks, mapFeeToQuickBooks, mapShippingToQuickBooks } from './product-map.js';
+import { mapCouponToQuickBooks } from './discount-map.js';
+import { mapTaxRateToQuickBooks, getTaxCodeConflict, getUnmappedTaxRates } from './tax-map.js';
 
 /**
  * Parse WooCommerce order webhook payload
@@ -51,6 +83,8 @@ export function parseWooCommerceOrder(payload) {
 
   // Build customer object
   const customer = {
+    // WooCommerce customer ID (0 for guest checkout)
+    customerId: payload.customer_id || null,
     email: payload.billing.email,
     firstName: payload.billing.first_name || '',
     lastName: payload.billing.last_name || '',
@@ -76,7 +110,10 @@ export function parseWooCommerceOrder(payload) {
   // Parse line items
   const lineItems = (payload.line_items || []).map(item => {
     // Map WooCommerce product to QuickBooks item
-    const qbMapping = mapProductToQuickBooks(item.name, item.sku);
+    const qbMapping = mapProductToQuickBooks(item.name, item.sku, {
+      productId: item.product_id,
+      variationId: item.variation_id
+    });
     
     const quantity = parseInt(item.quantity, 10) || 1;
     
@@ -103,6 +140,8 @@ export function parseWooCommerceOrder(payload) {
     return {
       name: item.name,
       sku: item.sku || null,
+      productId: item.product_id || null,
+      variationId: item.variation_id || null,
       quantity: quantity,
       unitPrice: unitPrice,
       total: total,
@@ -110,19 +149,60 @@ export function parseWooCommerceOrder(payload) {
       // Also store the discounted total for reference
       discountedTotal: parseFloat(item.total) || 0,
       
+      // Sales tax
+      ...parseLineTaxes(item),
+      
       // QuickBooks mapping
       qbItemId: qbMapping.qbItemId,
-      qbItemName: qbMapping.qbItemName
+      qbItemName: qbMapping.qbItemName,
+      matchedBy: qbMapping.matchedBy,
+      matchedKey: qbMapping.matchedKey
     };
   });
 
+  // Parse fee and shipping lines (amounts as charged - no paylater repricing)
+  const feeLines = (payload.fee_lines || []).map(fee => {
+    const qbMapping = mapFeeToQuickBooks(fee.name);
+    return {
+      name: fee.name || 'Fee',
+      total: parseFloat(fee.total) || 0,
+      ...parseLineTaxes(fee),
+      qbItemId: qbMapping.qbItemId,
+      qbItemName: qbMapping.qbItemName
+    };
+  }).filter(fee => fee.total !== 0);
+
+  const shippingLines = (payload.shipping_lines || []).map(shipping => {
+    const qbMapping = mapShippingToQuickBooks(shipping.method_id);
+    return {
+      name: shipping.method_title || 'Shipping',
+      methodId: shipping.method_id || null,
+      total: parseFloat(shipping.total) || 0,
+      ...parseLineTaxes(shipping),
+      qbItemId: qbMapping.qbItemId,
+      qbItemName: qbMapping.qbItemName
+    };
+  }).filter(shipping => shipping.total !== 0);
+
+  feeLines.forEach(fee => console.log(`   💵 Fee: ${fee.name} $${fee.total}`));
+  shippingLines.forEach(shipping => console.log(`   📦 Shipping: ${shipping.name} $${shipping.total}`));
+
+  // Extract sales tax
+  const tax = extractTax(payload, [...lineItems, ...feeLines, ...shippingLines]);
+  
+  if (tax.total > 0) {
+    console.log(`🧾 Sales tax: $${tax.total} (${tax.lines.map(t => t.label || t.code).join(', ')})`);
+  }
+
   // Calculate totals
   let subtotal, total;
   
+  const chargesTotal = [...feeLines, ...shippingLines].reduce((sum, line) => sum + line.total, 0);
+  
   if (isPaylater) {
-    // PAYLATER: Calculate from our full-price line items
+    // PAYLATER: Calculate from our full-price line items (plus fees/shipping)
     subtotal = lineItems.reduce((sum, item) => sum + item.total, 0);
-    total = subtotal;
+    total = Math.round((subtotal + chargesTotal + tax.total) * 100) / 100;
     console.log(`   💰 Paylater invoice total: $${total}`);
   } else {
     // PAID (with or without discount): Use line item totals (original prices)
@@ -143,9 +223,12 @@ export function parseWooCommerceOrder(payload) {
     status: payload.status,
     dateCreated: payload.date_created || new Date().toISOString(),
     datePaid: payload.date_paid,
+    dateCompleted: payload.date_completed,
     
     customer,
     lineItems,
+    feeLines,
+    shippingLines,
     
     subtotal,
     total,
@@ -154,6 +237,9 @@ export function parseWooCommerceOrder(payload) {
     // Discount information
     discount,
     
+    // Sales tax information
+    tax,
+    
     isPaylater,
     paymentMethod: payload.payment_method || 'unknown',
     transactionId: payload.transaction_id || null,
@@ -171,8 +257,9 @@ export function parseWooCommerceOrder(payload) {
 
 /**
  * Extract discount information from order
+ * One discount line per coupon, each mapped to its own QB discount item
  * @param {Object} payload - WooCommerce order payload
- * @returns {Object} { hasDiscount, code, amount, type }
+ * @returns {Object} { hasDiscount, code, amount, type, lines }
  */
 function extractDiscount(payload) {
   const coupons = payload.coupon_lines || [];
@@ -184,29 +271,110 @@ function extractDiscount(payload) {
       hasDiscount: false,
       code: null,
       amount: 0,
-      type: null
+      type: null,
+      lines: []
     };
   }
   
-  // Get the first (primary) coupon
-  // Note: We typically only allow one coupon per order
-  const primaryCoupon = coupons[0];
+  const lines = coupons
+    .map(coupon => {
+      const code = coupon.code || 'DISCOUNT';
+      const qbMapping = mapCouponToQuickBooks(code);
+      
+      return {
+        code,
+        amount: parseFloat(coupon.discount) || 0,
+        type: coupon.discount_type || 'fixed_cart',
+        couponId: coupon.id || null,
+        qbItemId: qbMapping.qbItemId,
+        qbItemName: qbMapping.qbItemName,
+        category: qbMapping.category
+      };
+    })
+    .filter(line => line.amount > 0);
+  
+  // Single coupon without a per-coupon amount - use the order's discount total
+  if (lines.length === 0 && coupons.length === 1) {
+    const qbMapping = mapCouponToQuickBooks(coupons[0].code);
+    lines.push({
+      code: coupons[0].code || 'DISCOUNT',
+      amount: discountTotal,
+      type: coupons[0].discount_type || 'fixed_cart',
+      couponId: coupons[0].id || null,
+      qbItemId: qbMapping.qbItemId,
+      qbItemName: qbMapping.qbItemName,
+      category: qbMapping.category
+    });
+  }
+  
+  const amount = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  
+  if (Math.abs(amount - discountTotal) >= 0.01) {
+    console.warn(`   ⚠ Coupon amounts ($${amount}) don't match discount_total ($${discountTotal})`);
+  }
   
   return {
-    hasDiscount: true,
-    code: primaryCoupon.code || 'DISCOUNT',
-    amount: parseFloat(primaryCoupon.discount) || discountTotal,
-    type: primaryCoupon.discount_type || 'fixed_cart',
+    hasDiscount: lines.length > 0,
+    code: lines.map(line => line.code).join(', ') || null,
+    amount,
+    type: lines.length === 1 ? lines[0].type : 'multiple',
+    lines
+  };
+}
+
+/**
+ * Extract sales tax from order
+ * @param {Object} payload - WooCommerce order payload
+ * @param {Array} lineItems - Parsed product, fee and shipping lines (for taxable amounts per rate)
+ * @returns {Object} { total, lines: [{ rateId, code, label, ratePercent, amount, netAmountTaxable, qbTaxCodeId, qbTaxRateId }] }
+ */
+function extractTax(payload, lineItems) {
+  const lines = (payload.tax_lines || []).map(taxLine => {
+    const qbMapping = mapTaxRateToQuickBooks(taxLine.rate_id);
     
-    // Additional coupon details
-    couponId: primaryCoupon.id || null,
+    // Amount taxed at this rate = (discounted) totals of lines carrying it
+    const netAmountTaxable = lineItems
+      .filter(item => item.taxes.some(t => String(t.rateId) === String(taxLine.rate_id) && t.amount > 0))
+      .reduce((sum, item) => sum + (item.discountedTotal ?? item.total), 0);
     
-    // If multiple coupons, store them all
-    allCoupons: coupons.map(c => ({
-      code: c.code,
-      amount: parseFloat(c.discount) || 0,
-      type: c.discount_type
-    }))
+    return {
+      rateId: taxLine.rate_id,
+      code: taxLine.rate_code || null,
+      label: taxLine.label || null,
+      ratePercent: parseFloat(taxLine.rate_percent) || 0,
+      compound: !!taxLine.compound,
+      amount: Math.round(((parseFloat(taxLine.tax_total) || 0) + (parseFloat(taxLine.shipping_tax_total) || 0)) * 100) / 100,
+      netAmountTaxable: Math.round(netAmountTaxable * 100) / 100,
+      qbTaxCodeId: qbMapping.taxCodeId,
+      qbTaxRateId: qbMapping.taxRateId
+    };
+  });
+  
+  const total = parseFloat(payload.total_tax) || lines.reduce((sum, line) => sum + line.amount, 0);
+  
+  return {
+    total: Math.round(total * 100) / 100,
+    lines
+  };
+}
+
+/**
+ * Parse per-line tax (WooCommerce taxes[] has one entry per rate)
+ * Works for line_items, fee_lines and shipping_lines
+ * @param {Object} line - WooCommerce line
+ * @returns {Object} { taxAmount, taxable, taxes }
+ */
+function parseLineTaxes(line) {
+  const taxes = (line.taxes || []).map(tax => ({
+    rateId: tax.id,
+    amount: parseFloat(tax.total) || 0
+  }));
+  const taxAmount = parseFloat(line.total_tax) || taxes.reduce((sum, tax) => sum + tax.amount, 0);
+  
+  return {
+    taxAmount,
+    taxable: taxAmount > 0,
+    taxes
   };
 }
 
@@ -266,6 +434,29 @@ export function validateOrderForQuickBooks(order) {
     }
   });
 
+  (order.feeLines || []).forEach(fee => {
+    if (!fee.qbItemId) {
+      errors.push(`Fee "${fee.name}" has no QuickBooks mapping (set QB_ITEM_FEE)`);
+    }
+  });
+
+  (order.shippingLines || []).forEach(shipping => {
+    if (!shipping.qbItemId) {
+      errors.push(`Shipping "${shipping.name}" has no QuickBooks mapping (set QB_ITEM_SHIPPING)`);
+    }
+  });
+
+  const unmappedTaxRates = getUnmappedTaxRates(order);
+  if (unmappedTaxRates) {
+    errors.push(`Tax rate(s) ${unmappedTaxRates} have no QuickBooks mapping (add them to QB_TAX_RATE_MAP)`);
+  }
+
+  // QB documents carry a single tax code
+  const taxCodeConflict = getTaxCodeConflict(order);
+  if (taxCodeConflict) {
+    errors.push(`Tax rates map to different QuickBooks tax codes: ${taxCodeConflict} (one combined code per order in QB_TAX_RATE_MAP)`);
+  }
+
   return {
     valid: errors.length === 0,
     errors
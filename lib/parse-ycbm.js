@@ -1,9 +1,12 @@
 /**
  * YCBM Payload Parser
  * 
- * @version 1.1.1
+ * @version 1.2.0
  * @description Parse YouCanBookMe webhook payloads
- * @lastUpdated 2025-01-02
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.2.0:
+ * - Added bookedAt (when the booking was made) for the QB TxnDate
  * 
  * CHANGELOG v1.1.1:
  * - Fixed ES module syntax (export instead of module.exports)
@@ -46,6 +49,7 @@ export function parseYCBMPayload(payload) {
     startDate: payload.startDate || '',
     endDate: payload.endDate || '',
     timeZone: payload.timeZone || '',
+    bookedAt: payload.bookedAt || '',
     
     // Status
     bookingStatus: payload.bookingStatus || ''
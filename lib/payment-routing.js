@@ -0,0 +1,124 @@
+/**
+ * Payment Routing Configuration
+ *
+ * Maps how an order was paid (WooCommerce payment_method, or Stripe for YCBM)
+ * to the QuickBooks PaymentMethod and deposit account used on Sales Receipts
+ * and Payments, so each processor's money lands in its own clearing account.
+ *
+ * @version 1.0.0
+ * @lastUpdated 2026-10-19
+ *
+ * Routes name their QB refs; names are resolved to IDs at runtime (cached per
+ * instance). Override or add routes with QB_PAYMENT_ROUTING (JSON env var):
+ *   {"stripe": {"paymentMethod": "Visa", "depositAccount": "Stripe Clearing"},
+ *    "bacs": {"paymentMethodId": "7", "depositAccountId": "35"}}
+ *
+ * If a name can't be found in QB, the legacy refs are used (PaymentMethod 1,
+ * QB_DEPOSIT_ACCOUNT) with a warning, so an unconfigured company keeps working.
+ */
+
+import { findAccountByName, findPaymentMethodByName } from './quickbooks.js';
+
+const STRIPE = { paymentMethod: 'Credit Card', depositAccount: 'Stripe Clearing' };
+const PAYPAL = { paymentMethod: 'PayPal', depositAccount: 'PayPal Clearing' };
+
+/**
+ * Routes keyed by WooCommerce payment_method ID
+ */
+const PAYMENT_ROUTES = {
+  stripe: STRIPE,
+  stripe_cc: STRIPE,
+  woocommerce_payments: STRIPE,
+  'ppcp-gateway': PAYPAL,
+  ppec_paypal: PAYPAL,
+  paypal: PAYPAL,
+  cheque: { paymentMethod: 'Check', depositAccount: 'Undeposited Funds' },
+  bacs: { paymentMethod: 'Bank Transfer', depositAccount: 'Undeposited Funds' },
+  cod: { paymentMethod: 'Cash', depositAccount: 'Undeposited Funds' },
+
+  // Anything else
+  default: { paymentMethod: 'Credit Card', depositAccount: 'Undeposited Funds' }
+};
+
+// Resolved name → ref (per serverless instance; misses are not cached)
+const refCache = new Map();
+
+function getRouteOverrides() {
+  const raw = process.env.QB_PAYMENT_ROUTING;
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`⚠️  QB_PAYMENT_ROUTING is not valid JSON - ignoring: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Get the configured route for a payment method
+ * @param {string} paymentMethod - WooCommerce payment_method ('stripe', 'ppcp-gateway', ...)
+ * @returns {Object} { key, paymentMethod, depositAccount, paymentMethodId, depositAccountId }
+ */
+export function getPaymentRoute(paymentMethod) {
+  const overrides = getRouteOverrides();
+  const key = (overrides[paymentMethod] || PAYMENT_ROUTES[paymentMethod]) ? paymentMethod : 'default';
+
+  return {
+    key,
+    ...(PAYMENT_ROUTES[key] || PAYMENT_ROUTES.default),
+    ...overrides[key]
+  };
+}
+
+/**
+ * Resolve a payment method's route to QB refs
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} paymentMethod - WooCommerce payment_method, or 'stripe' for YCBM
+ * @returns {Object} { route, paymentMethodRef, depositToAccountRef, fallback[] }
+ */
+export async function resolvePaymentRouting(qb, paymentMethod) {
+  const route = getPaymentRoute(paymentMethod);
+  const fallback = [];
+
+  const paymentMethodRef = await resolveRef(qb, 'PaymentMethod', route.paymentMethodId, route.paymentMethod)
+    || legacyRef(fallback, 'PaymentMethod', route.paymentMethod, '1');
+
+  const depositToAccountRef = await resolveRef(qb, 'Account', route.depositAccountId, route.depositAccount)
+    || legacyRef(fallback, 'Account', route.depositAccount, process.env.QB_DEPOSIT_ACCOUNT || '154');
+
+  console.log(`   💳 Payment routing (${paymentMethod} → ${route.key}): ` +
+    `${paymentMethodRef.name || paymentMethodRef.value} → ${depositToAccountRef.name || depositToAccountRef.value}`);
+
+  return { route: route.key, paymentMethodRef, depositToAccountRef, fallback };
+}
+
+async function resolveRef(qb, type, id, name) {
+  if (id) return { value: String(id) };
+  if (!name) return null;
+
+  const cacheKey = `${type}:${name.toLowerCase()}`;
+  if (refCache.has(cacheKey)) return refCache.get(cacheKey);
+
+  try {
+    const found = type === 'Account'
+      ? await findAccountByName(qb, name)
+      : await findPaymentMethodByName(qb, name);
+
+    if (!found) return null;
+
+    const ref = { value: String(found.Id), name: found.Name };
+    refCache.set(cacheKey, ref);
+    return ref;
+  } catch (error) {
+    console.warn(`   ⚠ ${type} lookup failed for "${name}": ${error.message}`);
+    return null;
+  }
+}
+
+function legacyRef(fallback, type, name, value) {
+  console.warn(`   ⚠ QB ${type} "${name}" not found - using legacy ${type} ${value}`);
+  fallback.push(`${type} "${name}" not found in QuickBooks (used ${value})`);
+  return { value: String(value) };
+}
@@ -3,40 +3,44 @@
  * 
  * Maps WooCommerce products to QuickBooks items.
  * 
- * @version 1.1.0
- * @lastUpdated 2024-12-30
+ * @version 1.4.0
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.4.0:
+ * - Match on WooCommerce variation_id and product_id (precedence:
+ *   variation → product → SKU → keyword)
+ * 
+ * CHANGELOG v1.3.0:
+ * - Products are read from the KV product registry (cached) instead of the
+ *   hardcoded PRODUCT_MAP - call loadProductRegistry() before mapping
+ * 
+ * CHANGELOG v1.2.0:
+ * - Added fee and shipping mappings (mapFeeToQuickBooks, mapShippingToQuickBooks)
  * 
  * CHANGELOG v1.1.0:
  * - Added debug logging to show env var values
  * - Added explicit handling for undefined env vars
  */
 
+import { getRegisteredProducts } from './product-registry.js';
+
+export { loadProductRegistry } from './product-registry.js';
+
 /**
- * Product mapping table
- * 
- * Keys can be matched against:
- * - WooCommerce product name (case-insensitive, partial match)
- * - WooCommerce SKU (exact match)
+ * Fee mapping table (WooCommerce fee_lines)
+ * Matched by keyword in the fee name; anything else uses QB_ITEM_FEE
  */
-const PRODUCT_MAP = {
-  // Primary product: Building Strong Teams
-  'building-strong-teams': {
-    keywords: ['building strong teams', 'strong teams', 'bst'],
-    sku: 'BST-001',
-    qbItemId: process.env.QB_ITEM_BST || null,
-    qbItemName: 'Building Strong Teams',
-    defaultPrice: 1750.00,
-    description: 'Building Strong Teams program - includes 6 team members'
+const FEE_MAP = {
+  'materials-fee': {
+    keywords: ['material', 'workbook'],
+    qbItemId: process.env.QB_ITEM_MATERIALS_FEE || null,
+    qbItemName: 'Materials Fee'
   },
 
-  // Add-on: Additional Team Member
-  'additional-team-member': {
-    keywords: ['additional team member', 'extra member', 'add member', 'additional member'],
-    sku: 'BST-ADD',
-    qbItemId: process.env.QB_ITEM_ADD || null,
-    qbItemName: 'Strong Teams - Additional Team Member',
-    defaultPrice: 99.00,
-    description: 'Additional team member beyond the 6 included in base'
+  'card-surcharge': {
+    keywords: ['surcharge', 'card fee', 'processing fee'],
+    qbItemId: process.env.QB_ITEM_CARD_SURCHARGE || null,
+    qbItemName: 'Card Surcharge'
   }
 };
 
@@ -47,48 +51,50 @@ console.log(`   QB_ITEM_ADD env var: ${process.env.QB_ITEM_ADD || '(not set)'}`)
 
 /**
  * Map a WooCommerce product to QuickBooks item
+ * 
+ * Products come from the product registry (lib/product-registry.js) and are
+ * matched in this order (first match wins):
+ * 1. variation - WooCommerce variation_id listed in variationIds
+ * 2. product   - WooCommerce product_id listed in productIds
+ * 3. sku       - WooCommerce SKU (exact, case-insensitive)
+ * 4. keyword   - keyword contained in the product name (case-insensitive)
+ * 
+ * IDs survive product renames, so prefer them over keywords for anything
+ * with similarly named variants (e.g. "Strong Teams Lite").
+ * 
  * @param {string} productName - WooCommerce product name
  * @param {string} sku - WooCommerce SKU (optional)
- * @returns {Object} QuickBooks item mapping
+ * @param {Object} ids - { productId, variationId } (optional)
+ * @returns {Object} QuickBooks item mapping (matchedBy: 'variation' | 'product' | 'sku' | 'keyword' | null)
  */
-export function mapProductToQuickBooks(productName, sku = null) {
+export function mapProductToQuickBooks(productName, sku = null, { productId = null, variationId = null } = {}) {
   const nameLower = (productName || '').toLowerCase().trim();
   const skuLower = (sku || '').toLowerCase().trim();
+  const products = Object.entries(getRegisteredProducts());
 
-  console.log(`   Mapping product: "${productName}" (SKU: ${sku || 'none'})`);
+  console.log(`   Mapping product: "${productName}" (SKU: ${sku || 'none'}, product: ${productId || 'none'}, variation: ${variationId || 'none'})`);
 
-  // First, try to match by SKU (exact match)
-  for (const [key, product] of Object.entries(PRODUCT_MAP)) {
-    if (skuLower && product.sku && product.sku.toLowerCase() === skuLower) {
-      console.log(`     ✓ Matched by SKU to ${key}, qbItemId: ${product.qbItemId}`);
-      return {
-        qbItemId: product.qbItemId,
-        qbItemName: product.qbItemName,
-        defaultPrice: product.defaultPrice,
-        matched: true,
-        matchedBy: 'sku',
-        matchedKey: key
-      };
-    }
-  }
+  const rules = [
+    ['variation', product => hasId(product.variationIds, variationId)],
+    ['product', product => hasId(product.productIds, productId)],
+    ['sku', product => skuLower && product.sku && product.sku.toLowerCase() === skuLower],
+    ['keyword', product => (product.keywords || []).some(keyword => nameLower.includes(keyword.toLowerCase()))]
+  ];
 
-  // Second, try to match by keywords in product name
-  for (const [key, product] of Object.entries(PRODUCT_MAP)) {
-    const keywordMatch = product.keywords.some(keyword => 
-      nameLower.includes(keyword.toLowerCase())
-    );
-    
-    if (keywordMatch) {
-      console.log(`     ✓ Matched by keyword to ${key}, qbItemId: ${product.qbItemId}`);
-      return {
-        qbItemId: product.qbItemId,
-        qbItemName: product.qbItemName,
-        defaultPrice: product.defaultPrice,
-        matched: true,
-        matchedBy: 'keyword',
-        matchedKey: key
-      };
-    }
+  for (const [matchedBy, matches] of rules) {
+    const match = products.find(([, product]) => matches(product));
+    if (!match) continue;
+
+    const [key, product] = match;
+    console.log(`     ✓ Matched by ${matchedBy} to ${key}, qbItemId: ${product.qbItemId}`);
+    return {
+      qbItemId: product.qbItemId,
+      qbItemName: product.qbItemName,
+      defaultPrice: product.defaultPrice,
+      matched: true,
+      matchedBy,
+      matchedKey: key
+    };
   }
 
   // No match found - return unmapped (will need manual handling)
@@ -104,12 +110,68 @@ export function mapProductToQuickBooks(productName, sku = null) {
   };
 }
 
+/**
+ * WooCommerce IDs arrive as numbers; registry IDs may be strings
+ * (variation_id is 0 for simple products)
+ */
+function hasId(ids, id) {
+  if (!id || !Array.isArray(ids)) return false;
+  return ids.some(candidate => String(candidate) === String(id));
+}
+
+/**
+ * Map a WooCommerce fee line to QuickBooks item
+ * @param {string} feeName - WooCommerce fee name (e.g. "Materials fee")
+ * @returns {Object} QuickBooks item mapping
+ */
+export function mapFeeToQuickBooks(feeName) {
+  const nameLower = (feeName || '').toLowerCase().trim();
+
+  for (const [key, fee] of Object.entries(FEE_MAP)) {
+    if (fee.keywords.some(keyword => nameLower.includes(keyword))) {
+      return {
+        qbItemId: fee.qbItemId || process.env.QB_ITEM_FEE || null,
+        qbItemName: fee.qbItemName,
+        matched: true,
+        matchedBy: 'keyword',
+        matchedKey: key
+      };
+    }
+  }
+
+  return {
+    qbItemId: process.env.QB_ITEM_FEE || null,
+    qbItemName: feeName,
+    matched: !!process.env.QB_ITEM_FEE,
+    matchedBy: process.env.QB_ITEM_FEE ? 'default' : null,
+    matchedKey: null
+  };
+}
+
+/**
+ * Map a WooCommerce shipping line to QuickBooks item
+ * All shipping methods post to QB_ITEM_SHIPPING (printed workbooks)
+ * @param {string} methodId - WooCommerce shipping method ID (e.g. "flat_rate")
+ * @returns {Object} QuickBooks item mapping
+ */
+export function mapShippingToQuickBooks(methodId) {
+  const qbItemId = process.env.QB_ITEM_SHIPPING || null;
+
+  return {
+    qbItemId,
+    qbItemName: 'Shipping',
+    matched: !!qbItemId,
+    matchedBy: qbItemId ? 'default' : null,
+    matchedKey: methodId || null
+  };
+}
+
 /**
  * Get all configured products (for debugging/admin)
  * @returns {Object[]} Array of product configs
  */
 export function getAllProducts() {
-  return Object.entries(PRODUCT_MAP).map(([key, product]) => ({
+  return Object.entries(getRegisteredProducts({ includeRetired: true })).map(([key, product]) => ({
     key,
     ...product,
     hasQbItemId: !!product.qbItemId
@@ -123,7 +185,7 @@ export function getAllProducts() {
 export function validateProductConfig() {
   const missing = [];
   
-  for (const [key, product] of Object.entries(PRODUCT_MAP)) {
+  for (const [key, product] of Object.entries(getRegisteredProducts())) {
     if (!product.qbItemId) {
       missing.push(key);
     }
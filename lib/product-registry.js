@@ -0,0 +1,274 @@
+/**
+ * Product Registry
+ *
+ * @version 1.1.1
+ * @description Persisted WooCommerce product → QuickBooks item mappings,
+ *              managed through /api/products instead of code changes
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.1.1:
+ * - Writes hold a KV lock (sync_lock:product_registry:write) around the
+ *   read-modify-write, so concurrent admin edits can't drop each other
+ *
+ * CHANGELOG v1.1.0:
+ * - Products accept productIds[] / variationIds[] (WooCommerce IDs, matched first)
+ *
+ * The registry lives in a single KV document so a webhook loads every mapping
+ * in one read. Until the first admin write, the built-in DEFAULT_PRODUCTS
+ * (QB_ITEM_BST / QB_ITEM_ADD) are used, and the first write seeds KV with them.
+ *
+ * Lookups are synchronous (mapProductToQuickBooks runs inside the order
+ * parser), so handlers call loadProductRegistry() first to warm the cache.
+ *
+ * KV layout:
+ *   product_registry - { products: { [key]: product }, updatedAt }
+ *
+ * Product fields:
+ *   key, qbItemName, keywords[], sku, productIds[], variationIds[], qbItemId,
+ *   defaultPrice, description, active, createdAt, updatedAt, retiredAt
+ */
+
+import { kv } from '@vercel/kv';
+import { acquireSyncLock, releaseSyncLock } from './sync-ledger.js';
+
+const REGISTRY_KEY = 'product_registry';
+const CACHE_TTL_MS = (parseInt(process.env.PRODUCT_REGISTRY_CACHE_SECONDS, 10) || 60) * 1000;
+const LOCK_SOURCE = 'product_registry';
+const LOCK_ATTEMPTS = 10;
+const LOCK_RETRY_MS = 200;
+
+/**
+ * Built-in products (used until the registry is first saved)
+ */
+const DEFAULT_PRODUCTS = {
+  // Primary product: Building Strong Teams
+  'building-strong-teams': {
+    keywords: ['building strong teams', 'strong teams', 'bst'],
+    sku: 'BST-001',
+    qbItemId: process.env.QB_ITEM_BST || null,
+    qbItemName: 'Building Strong Teams',
+    defaultPrice: 1750.00,
+    description: 'Building Strong Teams program - includes 6 team members'
+  },
+
+  // Add-on: Additional Team Member
+  'additional-team-member': {
+    keywords: ['additional team member', 'extra member', 'add member', 'additional member'],
+    sku: 'BST-ADD',
+    qbItemId: process.env.QB_ITEM_ADD || null,
+    qbItemName: 'Strong Teams - Additional Team Member',
+    defaultPrice: 99.00,
+    description: 'Additional team member beyond the 6 included in base'
+  }
+};
+
+// In-memory cache (per serverless instance)
+let cachedProducts = null;
+let cacheExpiry = 0;
+
+function defaultRegistry() {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PRODUCTS).map(([key, product]) => [key, { key, ...product, active: true }])
+  );
+}
+
+/**
+ * Load the registry into the in-memory cache
+ *
+ * KV errors keep the previous cache (or the defaults on a cold start) so a
+ * KV blip doesn't stop orders from mapping.
+ *
+ * @param {Object} options - { force: true } to bypass the cache
+ * @returns {Object} Products keyed by product key
+ */
+export async function loadProductRegistry({ force = false } = {}) {
+  if (!force && cachedProducts && Date.now() < cacheExpiry) {
+    return cachedProducts;
+  }
+
+  try {
+    const stored = await kv.get(REGISTRY_KEY);
+    cachedProducts = stored?.products || defaultRegistry();
+    cacheExpiry = Date.now() + CACHE_TTL_MS;
+  } catch (error) {
+    console.error(`⚠️  Could not load product registry from KV: ${error.message}`);
+    cachedProducts = cachedProducts || defaultRegistry();
+  }
+
+  return cachedProducts;
+}
+
+/**
+ * Get cached products (synchronous - call loadProductRegistry() first)
+ *
+ * @param {Object} options - { includeRetired }
+ * @returns {Object} Products keyed by product key
+ */
+export function getRegisteredProducts({ includeRetired = false } = {}) {
+  const products = cachedProducts || defaultRegistry();
+  if (includeRetired) return products;
+
+  return Object.fromEntries(
+    Object.entries(products).filter(([, product]) => product.active !== false)
+  );
+}
+
+/**
+ * Create a product mapping
+ *
+ * @param {Object} data - Product fields (key and qbItemId required)
+ * @returns {Object} Created product
+ * @throws {Error} If the key already exists or the data is invalid
+ */
+export async function createProduct(data) {
+  return withRegistryLock(async () => {
+    const products = await readForWrite();
+    const product = validateProduct(data, { requireKey: true });
+
+    if (products[product.key]) {
+      throw registryError(409, `Product ${product.key} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    products[product.key] = { ...product, active: true, createdAt: now, updatedAt: now };
+    await saveRegistry(products);
+
+    console.log(`📦 Product registered: ${product.key} → QB ${product.qbItemId}`);
+    return products[product.key];
+  });
+}
+
+/**
+ * Update a product mapping (fields not supplied are kept)
+ *
+ * @param {string} key - Product key
+ * @param {Object} data - Fields to change (active: true un-retires)
+ * @returns {Object} Updated product
+ */
+export async function updateProduct(key, data) {
+  return withRegistryLock(async () => {
+    const products = await readForWrite();
+    const existing = products[key];
+
+    if (!existing) {
+      throw registryError(404, `Product ${key} not found`);
+    }
+
+    const changes = validateProduct({ ...existing, ...data, key }, { requireKey: true });
+    products[key] = {
+      ...existing,
+      ...changes,
+      active: data.active === undefined ? existing.active !== false : !!data.active,
+      retiredAt: data.active === true ? null : existing.retiredAt || null,
+      updatedAt: new Date().toISOString()
+    };
+    await saveRegistry(products);
+
+    console.log(`📦 Product updated: ${key}`);
+    return products[key];
+  });
+}
+
+/**
+ * Retire a product mapping
+ * Retired products stop matching but stay in the registry for audit
+ *
+ * @param {string} key - Product key
+ * @returns {Object} Retired product
+ */
+export async function retireProduct(key) {
+  return withRegistryLock(async () => {
+    const products = await readForWrite();
+    const existing = products[key];
+
+    if (!existing) {
+      throw registryError(404, `Product ${key} not found`);
+    }
+
+    const now = new Date().toISOString();
+    products[key] = { ...existing, active: false, retiredAt: now, updatedAt: now };
+    await saveRegistry(products);
+
+    console.log(`📦 Product retired: ${key}`);
+    return products[key];
+  });
+}
+
+/**
+ * Run a registry write under the KV lock
+ * Waits briefly for another admin write to finish, then gives up with a 409
+ */
+async function withRegistryLock(write) {
+  let acquired = false;
+  for (let attempt = 0; attempt < LOCK_ATTEMPTS && !acquired; attempt++) {
+    if (attempt > 0) await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    acquired = await acquireSyncLock(LOCK_SOURCE, 'write');
+  }
+
+  if (!acquired) {
+    throw registryError(409, 'Product registry is being changed by another request - try again');
+  }
+
+  try {
+    return await write();
+  } finally {
+    await releaseSyncLock(LOCK_SOURCE, 'write');
+  }
+}
+
+/**
+ * Writes always start from KV, never from a possibly stale cache
+ */
+async function readForWrite() {
+  const stored = await kv.get(REGISTRY_KEY);
+  return { ...(stored?.products || defaultRegistry()) };
+}
+
+async function saveRegistry(products) {
+  await kv.set(REGISTRY_KEY, { products, updatedAt: new Date().toISOString() });
+  cachedProducts = products;
+  cacheExpiry = Date.now() + CACHE_TTL_MS;
+}
+
+function validateProduct(data, { requireKey }) {
+  const key = String(data.key || '').trim().toLowerCase();
+
+  if (requireKey && !/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+    throw registryError(400, 'key must be a lowercase slug (letters, numbers, dashes)');
+  }
+  if (!data.qbItemId) {
+    throw registryError(400, 'qbItemId is required');
+  }
+  if (data.keywords !== undefined && !Array.isArray(data.keywords)) {
+    throw registryError(400, 'keywords must be an array of strings');
+  }
+  for (const field of ['productIds', 'variationIds']) {
+    if (data[field] !== undefined && !(Array.isArray(data[field]) && data[field].every(isWooId))) {
+      throw registryError(400, `${field} must be an array of WooCommerce IDs`);
+    }
+  }
+
+  const defaultPrice = parseFloat(data.defaultPrice);
+
+  return {
+    key,
+    keywords: (data.keywords || []).map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean),
+    sku: data.sku ? String(data.sku).trim() : null,
+    productIds: (data.productIds || []).map(Number),
+    variationIds: (data.variationIds || []).map(Number),
+    qbItemId: String(data.qbItemId),
+    qbItemName: data.qbItemName || key,
+    defaultPrice: Number.isFinite(defaultPrice) ? defaultPrice : 0,
+    description: data.description || ''
+  };
+}
+
+function isWooId(id) {
+  return /^[1-9]\d*$/.test(String(id));
+}
+
+function registryError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
@@ -1,9 +1,63 @@
 /**
  * QuickBooks API Client
  * 
- * @version 2.1.0
+ * @version 2.14.1
  * @description QuickBooks Online API integration with OAuth 2.0 and automatic token management
- * @lastUpdated 2026-01-01
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v2.14.1:
+ * - Updates and voids of existing documents in a closed period are always
+ *   refused (error.closedPeriod); redate only applies to new documents
+ * 
+ * CHANGELOG v2.14.0:
+ * - Added uploadAttachment() - file upload linked to a transaction (Attachable)
+ * 
+ * CHANGELOG v2.13.0:
+ * - Closed-period guard: dated creates / updates (receipts, invoices, refunds,
+ *   credit memos, payments, purchases, deposits) check the company's books
+ *   close date and QB_LOCK_DATE first, then re-date or refuse per
+ *   QB_CLOSED_PERIOD_POLICY. Re-dated documents come back with .closedPeriod;
+ *   refusals throw an error carrying .closedPeriod
+ * - Added getClosedPeriod() / checkClosedPeriod()
+ * 
+ * CHANGELOG v2.12.0:
+ * - Added previewCustomer() - findOrCreateCustomer() resolution without writes
+ * 
+ * CHANGELOG v2.11.0:
+ * - Added findSalesReceipts() and findInvoices() (backfill duplicate check)
+ * 
+ * CHANGELOG v2.10.0:
+ * - Added createDeposit() (Stripe payouts)
+ * 
+ * CHANGELOG v2.9.0:
+ * - Added createPurchase() (Stripe processing fees)
+ * 
+ * CHANGELOG v2.8.0:
+ * - Added findAccountByName() and findPaymentMethodByName()
+ * 
+ * CHANGELOG v2.7.0:
+ * - Added listItems()
+ * 
+ * CHANGELOG v2.6.0:
+ * - findOrCreateCustomer() consults the customer link table first and links
+ *   the customer it finds or creates
+ * - A failed customer search now throws instead of creating a duplicate customer
+ * - Added getCustomer()
+ * 
+ * CHANGELOG v2.5.0:
+ * - findOrCreateCustomer() creates customers with CompanyName and BillAddr
+ * - Existing customers are sparse-updated per the field policy in customer-map.js
+ * - Added updateCustomer()
+ * 
+ * CHANGELOG v2.4.0:
+ * - Added updateInvoice() and updateSalesReceipt() (sparse updates)
+ * 
+ * CHANGELOG v2.3.0:
+ * - Added voidInvoice() and voidSalesReceipt()
+ * 
+ * CHANGELOG v2.2.0:
+ * - Added getSalesReceipt() and getInvoice() lookups
+ * - Added createRefundReceipt() and createCreditMemo() for WooCommerce refunds
  * 
  * CHANGELOG v2.1.0:
  * - Fixed sendInvoice to use direct API call instead of node-quickbooks library method
@@ -26,6 +80,8 @@
 
 import QuickBooks from 'node-quickbooks';
 import { kv } from '@vercel/kv';
+import { buildCustomerProfile, getCustomerUpdates } from './customer-map.js';
+import { getCustomerLink, linkCustomer } from './customer-links.js';
 
 // Token cache (in-memory for serverless)
 let cachedToken = null;
@@ -34,6 +90,13 @@ let tokenExpiry = null;
 // KV keys
 const KV_REFRESH_TOKEN_KEY = 'qb_refresh_token';
 
+// Books close date cache - re-read every few minutes so a newly closed month applies quickly
+const CLOSING_DATE_TTL_MS = 10 * 60 * 1000;
+let closingDateCache = null;
+let closingDateExpiry = 0;
+
+const CLOSED_PERIOD_POLICIES = ['redate', 'hold'];
+
 /**
  * Get QuickBooks client with fresh access token
  * Handles OAuth refresh automatically
@@ -149,50 +212,48 @@ async function refreshAccessToken() {
 /**
  * Find existing customer or create new one
  * 
+ * Lookup order:
+ * 1. Customer link table (if an identity is given) - survives email changes
+ * 2. QB query by email
+ * 3. Create new customer
+ * The customer found or created is linked to the identity for next time.
+ * 
+ * New customers get the full profile (company, phone, billing address).
+ * Existing customers are sparse-updated where the incoming details differ,
+ * following the field policy in customer-map.js.
+ * 
  * @param {QuickBooks} qb - QuickBooks client
- * @param {Object} customerData - { firstName, lastName, email, phone }
+ * @param {Object} customerData - { firstName, lastName, email, phone, company, address }
+ * @param {Object} identity - Source identity from customerIdentity() (optional)
  * @returns {Object} QuickBooks Customer object
+ * @throws {Error} If the email search fails (never creates a customer blind)
  */
-export async function findOrCreateCustomer(qb, customerData) {
-  const { firstName, lastName, email, phone } = customerData;
+export async function findOrCreateCustomer(qb, customerData, identity = null) {
+  const { firstName, lastName, email } = customerData;
   const displayName = `${firstName} ${lastName}`;
 
-  // First, try to find by email
-  const existing = await new Promise((resolve, reject) => {
-    qb.findCustomers({
-      PrimaryEmailAddr: email,
-      fetchAll: true
-    }, (err, customers) => {
-      if (err) {
-        // If query fails, we'll create new
-        console.log('Customer search failed, will create new');
-        resolve(null);
-      } else {
-        resolve(customers?.QueryResponse?.Customer?.[0] || null);
-      }
-    });
-  });
+  // First, check the link table
+  const linked = await findLinkedCustomer(qb, identity);
+  if (linked) {
+    console.log(`   Found linked customer: ${linked.DisplayName} (ID: ${linked.Id})`);
+    return syncCustomerProfile(qb, linked, customerData);
+  }
+
+  // Then try to find by email
+  const existing = await findCustomerByEmail(qb, email);
 
   if (existing) {
     console.log(`   Found existing customer: ${existing.DisplayName} (ID: ${existing.Id})`);
-    return existing;
+    await linkIdentity(identity, existing);
+    return syncCustomerProfile(qb, existing, customerData);
   }
 
   // Create new customer
   console.log(`   Creating new customer: ${displayName}`);
   
-  const newCustomer = {
-    DisplayName: displayName,
-    GivenName: firstName,
-    FamilyName: lastName,
-    PrimaryEmailAddr: { Address: email }
-  };
-
-  if (phone) {
-    newCustomer.PrimaryPhone = { FreeFormNumber: phone };
-  }
+  const newCustomer = buildNewCustomer(customerData);
 
-  return new Promise((resolve, reject) => {
+  const created = await new Promise((resolve, reject) => {
     qb.createCustomer(newCustomer, (err, customer) => {
       if (err) {
         // Handle duplicate display name
@@ -214,6 +275,176 @@ export async function findOrCreateCustomer(qb, customerData) {
       }
     });
   });
+
+  await linkIdentity(identity, created);
+  return created;
+}
+
+/**
+ * Resolve a customer the way findOrCreateCustomer() would, without creating,
+ * updating or linking anything
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} customerData - { firstName, lastName, email, phone, company, address }
+ * @param {Object} identity - Source identity from customerIdentity() (optional)
+ * @returns {Object} { matchedBy: 'link' | 'email' | null, customer, updates, newCustomer }
+ */
+export async function previewCustomer(qb, customerData, identity = null) {
+  const linked = await findLinkedCustomer(qb, identity);
+  const existing = linked || await findCustomerByEmail(qb, customerData.email);
+
+  if (!existing) {
+    return { matchedBy: null, customer: null, updates: null, newCustomer: buildNewCustomer(customerData) };
+  }
+
+  const { fields, changed } = getCustomerUpdates(existing, customerData);
+  return {
+    matchedBy: linked ? 'link' : 'email',
+    customer: existing,
+    updates: changed.length > 0 ? { changed, fields } : null,
+    newCustomer: null
+  };
+}
+
+async function findCustomerByEmail(qb, email) {
+  return new Promise((resolve, reject) => {
+    qb.findCustomers({
+      PrimaryEmailAddr: email,
+      fetchAll: true
+    }, (err, customers) => {
+      if (err) {
+        // Creating here could duplicate a customer we just couldn't see
+        reject(new Error(`Customer search failed for ${email}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(customers?.QueryResponse?.Customer?.[0] || null);
+      }
+    });
+  });
+}
+
+function buildNewCustomer(customerData) {
+  const { firstName, lastName, email } = customerData;
+
+  return {
+    ...buildCustomerProfile(customerData),
+    DisplayName: `${firstName} ${lastName}`,
+    GivenName: firstName,
+    FamilyName: lastName,
+    PrimaryEmailAddr: { Address: email }
+  };
+}
+
+/**
+ * Resolve an identity through the link table
+ * KV errors and stale links (customer deleted or made inactive in QB) fall
+ * through to the email search
+ */
+async function findLinkedCustomer(qb, identity) {
+  if (!identity) return null;
+
+  let link;
+  try {
+    link = await getCustomerLink(identity);
+  } catch (error) {
+    console.warn(`   ⚠ Customer link lookup failed (${identity.source}:${identity.externalId}): ${error.message}`);
+    return null;
+  }
+
+  if (!link) return null;
+
+  try {
+    const customer = await getCustomer(qb, link.qbCustomerId);
+    if (customer.Active === false) {
+      console.warn(`   ⚠ Linked QB customer ${link.qbCustomerId} is inactive - searching by email`);
+      return null;
+    }
+    return customer;
+  } catch (error) {
+    console.warn(`   ⚠ Linked QB customer ${link.qbCustomerId} not found - searching by email`);
+    return null;
+  }
+}
+
+/**
+ * Record identity → customer (non-fatal - the sync can proceed without it)
+ */
+async function linkIdentity(identity, customer) {
+  if (!identity) return;
+
+  try {
+    await linkCustomer(identity, customer.Id, { displayName: customer.DisplayName, linkedBy: 'auto' });
+  } catch (error) {
+    console.warn(`   ⚠ Could not save customer link: ${error.message}`);
+  }
+}
+
+/**
+ * Get a Customer by ID
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} customerId - Customer ID
+ * @returns {Object} QuickBooks Customer object
+ */
+export async function getCustomer(qb, customerId) {
+  return new Promise((resolve, reject) => {
+    qb.getCustomer(String(customerId), (err, customer) => {
+      if (err) {
+        reject(new Error(`Failed to get customer ${customerId}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(customer);
+      }
+    });
+  });
+}
+
+/**
+ * Bring an existing customer's profile up to date with the source system
+ * A failed update is logged but never blocks the sync - the customer is still usable
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} existing - QB Customer
+ * @param {Object} customerData - Incoming customer details
+ * @returns {Object} Updated (or unchanged) QB Customer
+ */
+async function syncCustomerProfile(qb, existing, customerData) {
+  const { fields, changed } = getCustomerUpdates(existing, customerData);
+
+  if (changed.length === 0) {
+    return existing;
+  }
+
+  try {
+    const updated = await updateCustomer(qb, {
+      Id: String(existing.Id),
+      SyncToken: String(existing.SyncToken),
+      ...fields
+    });
+    console.log(`   ✓ Customer profile updated: ${changed.join(', ')}`);
+    return updated;
+  } catch (error) {
+    console.warn(`   ⚠ Could not update customer ${existing.Id} (${changed.join(', ')}): ${error.message}`);
+    return existing;
+  }
+}
+
+/**
+ * Sparse-update a Customer
+ * Only the fields present in customerData are changed
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} customerData - Must include Id and SyncToken
+ * @returns {Object} Updated customer
+ */
+export async function updateCustomer(qb, customerData) {
+  return new Promise((resolve, reject) => {
+    qb.updateCustomer({ ...customerData, sparse: true }, (err, customer) => {
+      if (err) {
+        reject(new Error(`Failed to update customer ${customerData.Id}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(customer);
+      }
+    });
+  });
 }
 
 /**
@@ -235,6 +466,65 @@ export async function getItem(qb, itemId) {
   });
 }
 
+/**
+ * List QuickBooks Items
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} options - { activeOnly } (default true)
+ * @returns {Array} QuickBooks Item objects
+ */
+export async function listItems(qb, { activeOnly = true } = {}) {
+  const criteria = activeOnly ? { Active: true, fetchAll: true } : { fetchAll: true };
+
+  return new Promise((resolve, reject) => {
+    qb.findItems(criteria, (err, items) => {
+      if (err) {
+        reject(new Error(`Failed to list items: ${JSON.stringify(err)}`));
+      } else {
+        resolve(items?.QueryResponse?.Item || []);
+      }
+    });
+  });
+}
+
+/**
+ * Find an Account by exact name
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} name - Account name (e.g. "Stripe Clearing")
+ * @returns {Object|null} QuickBooks Account object, or null if not found
+ */
+export async function findAccountByName(qb, name) {
+  return new Promise((resolve, reject) => {
+    qb.findAccounts({ Name: name }, (err, accounts) => {
+      if (err) {
+        reject(new Error(`Failed to find account "${name}": ${JSON.stringify(err)}`));
+      } else {
+        resolve(accounts?.QueryResponse?.Account?.[0] || null);
+      }
+    });
+  });
+}
+
+/**
+ * Find a PaymentMethod by exact name
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} name - Payment method name (e.g. "Credit Card")
+ * @returns {Object|null} QuickBooks PaymentMethod object, or null if not found
+ */
+export async function findPaymentMethodByName(qb, name) {
+  return new Promise((resolve, reject) => {
+    qb.findPaymentMethods({ Name: name }, (err, methods) => {
+      if (err) {
+        reject(new Error(`Failed to find payment method "${name}": ${JSON.stringify(err)}`));
+      } else {
+        resolve(methods?.QueryResponse?.PaymentMethod?.[0] || null);
+      }
+    });
+  });
+}
+
 /**
  * Get current price for a QuickBooks Item
  * Fetches the item and returns its UnitPrice
@@ -271,6 +561,121 @@ export async function getItemPrice(qb, itemId) {
   }
 }
 
+/**
+ * The last closed day for posting: the later of the company's books close
+ * date (Preferences → AccountingInfoPrefs.BookCloseDate) and QB_LOCK_DATE
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @returns {Object|null} { closedThrough: 'YYYY-MM-DD', closedBy: 'quickbooks' | 'QB_LOCK_DATE' }, or null if nothing is closed
+ */
+export async function getClosedPeriod(qb) {
+  if (!closingDateCache || Date.now() >= closingDateExpiry) {
+    closingDateCache = await new Promise(resolve => {
+      qb.getPreferences((err, preferences) => {
+        if (err) {
+          // QB_LOCK_DATE still applies; QB itself rejects writes before its close date if set to
+          console.warn(`   ⚠ Could not read QB books close date: ${JSON.stringify(err)}`);
+          resolve({ bookCloseDate: null });
+        } else {
+          resolve({ bookCloseDate: preferences?.AccountingInfoPrefs?.BookCloseDate || null });
+        }
+      });
+    });
+    closingDateExpiry = Date.now() + CLOSING_DATE_TTL_MS;
+  }
+
+  const bookCloseDate = closingDateCache.bookCloseDate;
+  const lockDate = /^\d{4}-\d{2}-\d{2}$/.test(process.env.QB_LOCK_DATE || '') ? process.env.QB_LOCK_DATE : null;
+
+  if (!bookCloseDate && !lockDate) return null;
+
+  return !lockDate || (bookCloseDate && bookCloseDate >= lockDate)
+    ? { closedThrough: bookCloseDate, closedBy: 'quickbooks' }
+    : { closedThrough: lockDate, closedBy: 'QB_LOCK_DATE' };
+}
+
+/**
+ * Check a transaction date against the closed period
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} txnDate - YYYY-MM-DD (omit for today, QB's default)
+ * @returns {Object|null} { policy, txnDate, closedThrough, closedBy, firstOpenDate }, or null if the date is open
+ */
+export async function checkClosedPeriod(qb, txnDate = null) {
+  const closed = await getClosedPeriod(qb);
+  const date = txnDate || new Date().toISOString().split('T')[0];
+
+  if (!closed || date > closed.closedThrough) return null;
+
+  const policy = CLOSED_PERIOD_POLICIES.includes(process.env.QB_CLOSED_PERIOD_POLICY)
+    ? process.env.QB_CLOSED_PERIOD_POLICY
+    : 'redate';
+
+  return {
+    policy,
+    txnDate: date,
+    ...closed,
+    firstOpenDate: addDays(closed.closedThrough, 1)
+  };
+}
+
+/**
+ * Apply the closed-period policy to a document about to be created / updated
+ * 
+ * redate: returns a copy dated on the first open day (DueDate moves with it)
+ * hold:   throws; error.closedPeriod carries the decision so callers can hold the order
+ * 
+ * Existing documents (updates, voids) are checked by the TxnDate passed in -
+ * send the document's current date. One in a closed period is always refused:
+ * re-dating it would move the sale out of the closed month.
+ * 
+ * @returns {Object} { data, decision } - decision is null when the date is open
+ */
+async function guardClosedPeriod(qb, entityType, data, { existing = false } = {}) {
+  if (existing && !data.TxnDate) return { data, decision: null };
+  
+  const check = await checkClosedPeriod(qb, data.TxnDate);
+  if (!check) return { data, decision: null };
+
+  const label = `${entityType}${data.Id ? ` ${data.Id}` : ''}`;
+
+  if (check.policy === 'hold' || existing) {
+    const decision = { action: 'held', entityType, ...check };
+    console.warn(`   🔒 ${label} dated ${check.txnDate} falls in the closed period (through ${check.closedThrough}, ${check.closedBy}) - not posting`);
+    const error = new Error(`${label} dated ${check.txnDate} falls in a closed period (closed through ${check.closedThrough} by ${check.closedBy})`);
+    error.closedPeriod = decision;
+    throw error;
+  }
+
+  const redated = { ...data, TxnDate: check.firstOpenDate };
+  if (data.DueDate) {
+    redated.DueDate = addDays(data.DueDate, daysBetween(check.txnDate, check.firstOpenDate));
+  }
+
+  console.warn(`   🔒 ${label} dated ${check.txnDate} falls in the closed period (through ${check.closedThrough}, ${check.closedBy}) - re-dated to ${check.firstOpenDate}`);
+  return { data: redated, decision: { action: 'redated', entityType, ...check } };
+}
+
+/**
+ * Attach the closed-period decision to what a create / update returns
+ */
+function withClosedPeriod(entity, decision) {
+  if (decision && entity) {
+    entity.closedPeriod = decision;
+  }
+  return entity;
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
 /**
  * Create a Sales Receipt (for fully paid orders)
  * 
@@ -279,12 +684,14 @@ export async function getItemPrice(qb, itemId) {
  * @returns {Object} Created sales receipt
  */
 export async function createSalesReceipt(qb, receiptData) {
+  const guarded = await guardClosedPeriod(qb, 'SalesReceipt', receiptData);
+  
   return new Promise((resolve, reject) => {
-    qb.createSalesReceipt(receiptData, (err, receipt) => {
+    qb.createSalesReceipt(guarded.data, (err, receipt) => {
       if (err) {
         reject(new Error(`Failed to create sales receipt: ${JSON.stringify(err)}`));
       } else {
-        resolve(receipt);
+        resolve(withClosedPeriod(receipt, guarded.decision));
       }
     });
   });
@@ -298,10 +705,50 @@ export async function createSalesReceipt(qb, receiptData) {
  * @returns {Object} Created invoice
  */
 export async function createInvoice(qb, invoiceData) {
+  const guarded = await guardClosedPeriod(qb, 'Invoice', invoiceData);
+  
   return new Promise((resolve, reject) => {
-    qb.createInvoice(invoiceData, (err, invoice) => {
+    qb.createInvoice(guarded.data, (err, invoice) => {
       if (err) {
         reject(new Error(`Failed to create invoice: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(invoice, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Get a Sales Receipt by ID
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} receiptId - Sales Receipt ID
+ * @returns {Object} QuickBooks SalesReceipt object
+ */
+export async function getSalesReceipt(qb, receiptId) {
+  return new Promise((resolve, reject) => {
+    qb.getSalesReceipt(String(receiptId), (err, receipt) => {
+      if (err) {
+        reject(new Error(`Failed to get sales receipt ${receiptId}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(receipt);
+      }
+    });
+  });
+}
+
+/**
+ * Get an Invoice by ID
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Object} QuickBooks Invoice object
+ */
+export async function getInvoice(qb, invoiceId) {
+  return new Promise((resolve, reject) => {
+    qb.getInvoice(String(invoiceId), (err, invoice) => {
+      if (err) {
+        reject(new Error(`Failed to get invoice ${invoiceId}: ${JSON.stringify(err)}`));
       } else {
         resolve(invoice);
       }
@@ -309,6 +756,245 @@ export async function createInvoice(qb, invoiceData) {
   });
 }
 
+/**
+ * Find Sales Receipts matching query criteria
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Array|Object} criteria - node-quickbooks criteria ([{ field, value, operator }])
+ * @returns {Array} QuickBooks SalesReceipt objects
+ */
+export async function findSalesReceipts(qb, criteria) {
+  return new Promise((resolve, reject) => {
+    qb.findSalesReceipts(criteria, (err, receipts) => {
+      if (err) {
+        reject(new Error(`Failed to find sales receipts: ${JSON.stringify(err)}`));
+      } else {
+        resolve(receipts?.QueryResponse?.SalesReceipt || []);
+      }
+    });
+  });
+}
+
+/**
+ * Find Invoices matching query criteria
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Array|Object} criteria - node-quickbooks criteria ([{ field, value, operator }])
+ * @returns {Array} QuickBooks Invoice objects
+ */
+export async function findInvoices(qb, criteria) {
+  return new Promise((resolve, reject) => {
+    qb.findInvoices(criteria, (err, invoices) => {
+      if (err) {
+        reject(new Error(`Failed to find invoices: ${JSON.stringify(err)}`));
+      } else {
+        resolve(invoices?.QueryResponse?.Invoice || []);
+      }
+    });
+  });
+}
+
+/**
+ * Create a Refund Receipt (money returned against a paid Sales Receipt)
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} refundData - Refund receipt data
+ * @returns {Object} Created refund receipt
+ */
+export async function createRefundReceipt(qb, refundData) {
+  const guarded = await guardClosedPeriod(qb, 'RefundReceipt', refundData);
+  
+  return new Promise((resolve, reject) => {
+    qb.createRefundReceipt(guarded.data, (err, refund) => {
+      if (err) {
+        reject(new Error(`Failed to create refund receipt: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(refund, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Create a Credit Memo (credit against an unpaid Invoice)
+ * Apply it to the invoice with a zero-amount Payment linking both
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} creditMemoData - Credit memo data
+ * @returns {Object} Created credit memo
+ */
+export async function createCreditMemo(qb, creditMemoData) {
+  const guarded = await guardClosedPeriod(qb, 'CreditMemo', creditMemoData);
+  
+  return new Promise((resolve, reject) => {
+    qb.createCreditMemo(guarded.data, (err, creditMemo) => {
+      if (err) {
+        reject(new Error(`Failed to create credit memo: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(creditMemo, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Sparse-update an Invoice
+ * Only the fields present in invoiceData are changed (Line replaces all lines)
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} invoiceData - Fields to change, plus Id and SyncToken
+ * @returns {Object} Updated invoice
+ */
+export async function updateInvoice(qb, invoiceData) {
+  const guarded = await guardClosedPeriod(qb, 'Invoice', invoiceData, { existing: true });
+  
+  return new Promise((resolve, reject) => {
+    qb.updateInvoice({ ...guarded.data, sparse: true }, (err, invoice) => {
+      if (err) {
+        reject(new Error(`Failed to update invoice ${invoiceData.Id}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(invoice, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Sparse-update a Sales Receipt
+ * Only the fields present in receiptData are changed (Line replaces all lines)
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} receiptData - Fields to change, plus Id and SyncToken
+ * @returns {Object} Updated sales receipt
+ */
+export async function updateSalesReceipt(qb, receiptData) {
+  const guarded = await guardClosedPeriod(qb, 'SalesReceipt', receiptData, { existing: true });
+  
+  return new Promise((resolve, reject) => {
+    qb.updateSalesReceipt({ ...guarded.data, sparse: true }, (err, receipt) => {
+      if (err) {
+        reject(new Error(`Failed to update sales receipt ${receiptData.Id}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(receipt, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Void an Invoice (keeps the document, zeroes its amounts)
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} invoice - Persistent invoice (needs Id and SyncToken)
+ * @returns {Object} Voided invoice
+ */
+export async function voidInvoice(qb, invoice) {
+  await guardClosedPeriod(qb, 'Invoice', { Id: invoice.Id, TxnDate: invoice.TxnDate }, { existing: true });
+  
+  return new Promise((resolve, reject) => {
+    qb.voidInvoice({ Id: String(invoice.Id), SyncToken: String(invoice.SyncToken) }, (err, result) => {
+      if (err) {
+        reject(new Error(`Failed to void invoice ${invoice.Id}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(result?.Invoice || result);
+      }
+    });
+  });
+}
+
+/**
+ * Void a Sales Receipt
+ * QB voids receipts through a sparse update with include=void
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} receipt - Persistent sales receipt (needs Id and SyncToken)
+ * @returns {Object} Voided sales receipt
+ */
+export async function voidSalesReceipt(qb, receipt) {
+  await guardClosedPeriod(qb, 'SalesReceipt', { Id: receipt.Id, TxnDate: receipt.TxnDate }, { existing: true });
+  
+  return new Promise((resolve, reject) => {
+    qb.updateSalesReceipt({
+      Id: String(receipt.Id),
+      SyncToken: String(receipt.SyncToken),
+      sparse: true,
+      void: true
+    }, (err, result) => {
+      if (err) {
+        reject(new Error(`Failed to void sales receipt ${receipt.Id}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Create a Purchase (expense paid from a bank / clearing account)
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} purchaseData - Purchase data
+ * @returns {Object} Created purchase
+ */
+export async function createPurchase(qb, purchaseData) {
+  const guarded = await guardClosedPeriod(qb, 'Purchase', purchaseData);
+  
+  return new Promise((resolve, reject) => {
+    qb.createPurchase(guarded.data, (err, purchase) => {
+      if (err) {
+        reject(new Error(`Failed to create purchase: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(purchase, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Create a Deposit
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} depositData - Deposit data
+ * @returns {Object} Created deposit
+ */
+export async function createDeposit(qb, depositData) {
+  const guarded = await guardClosedPeriod(qb, 'Deposit', depositData);
+  
+  return new Promise((resolve, reject) => {
+    qb.createDeposit(guarded.data, (err, deposit) => {
+      if (err) {
+        reject(new Error(`Failed to create deposit: ${JSON.stringify(err)}`));
+      } else {
+        resolve(withClosedPeriod(deposit, guarded.decision));
+      }
+    });
+  });
+}
+
+/**
+ * Upload a file and attach it to a transaction
+ * 
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} file
+ * @param {string} file.fileName - File name shown in QuickBooks
+ * @param {string} file.contentType - MIME type (e.g. application/json)
+ * @param {Buffer} file.content - File content
+ * @param {string} file.entityType - Transaction type (SalesReceipt, Invoice, Payment)
+ * @param {string} file.entityId - Transaction ID
+ * @returns {Object} Created Attachable
+ */
+export async function uploadAttachment(qb, { fileName, contentType, content, entityType, entityId }) {
+  return new Promise((resolve, reject) => {
+    qb.upload(fileName, contentType, content, entityType, String(entityId), (err, attachable) => {
+      if (err) {
+        reject(new Error(`Failed to attach ${fileName} to ${entityType} ${entityId}: ${JSON.stringify(err)}`));
+      } else {
+        resolve(attachable);
+      }
+    });
+  });
+}
+
 /**
  * Create a Payment (to apply against an invoice)
  * 
@@ -317,12 +1003,14 @@ export async function createInvoice(qb, invoiceData) {
  * @returns {Object} Created payment
  */
 export async function createPayment(qb, paymentData) {
+  const guarded = await guardClosedPeriod(qb, 'Payment', paymentData);
+  
   return new Promise((resolve, reject) => {
-    qb.createPayment(paymentData, (err, payment) => {
+    qb.createPayment(guarded.data, (err, payment) => {
       if (err) {
         reject(new Error(`Failed to create payment: ${JSON.stringify(err)}`));
       } else {
-        resolve(payment);
+        resolve(withClosedPeriod(payment, guarded.decision));
       }
     });
   });
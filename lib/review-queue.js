@@ -0,0 +1,146 @@
+/**
+ * Order Review Queue
+ *
+ * @version 1.0.1
+ * @description Holds orders that can't be posted to QuickBooks as-is (e.g. a
+ *              product with no QB item mapping) until an admin releases them
+ * @lastUpdated 2026-10-19
+ *
+ * Held orders keep the latest payload received, so a release replays the
+ * most recent version of the order. A later delivery that passes validation
+ * posts normally and marks the held entry as synced.
+ *
+ * KV layout:
+ *   review_queue:{source}:{orderId} - { source, orderId, status, reasons[], payload, ... }
+ *   review_queue_ids                - Index of "{source}:{orderId}" (newest first)
+ *
+ * Statuses: held → released | synced | dismissed
+ *
+ * CHANGELOG v1.0.1:
+ * - Index entry is moved to the front on every hold instead of pushed only
+ *   when no entry exists, so a re-hold after the resolved entry expired
+ *   no longer lists the order twice
+ */
+
+import { kv } from '@vercel/kv';
+
+const QUEUE_PREFIX = 'review_queue:';
+const QUEUE_INDEX_KEY = 'review_queue_ids';
+const MAX_QUEUE_ENTRIES = 200;
+const RESOLVED_TTL_SECONDS = 2592000; // Resolved entries kept 30 days for audit
+
+function queueId(source, orderId) {
+  return `${source}:${orderId}`;
+}
+
+/**
+ * Hold an order for review (replaces the payload if it's already held)
+ *
+ * @param {string} source - 'woocommerce'
+ * @param {string|number} orderId - Source order ID
+ * @param {Object} details - { reasons, payload, deliveryId, summary }
+ * @returns {Object} Queue entry
+ */
+export async function holdOrder(source, orderId, { reasons, payload, deliveryId = null, summary = {} }) {
+  const id = queueId(source, orderId);
+  const key = `${QUEUE_PREFIX}${id}`;
+  const existing = await kv.get(key);
+  const now = new Date().toISOString();
+
+  const entry = {
+    source,
+    orderId: String(orderId),
+    status: 'held',
+    reasons,
+    summary,
+    payload,
+    deliveryIds: [...new Set([...(existing?.status === 'held' ? existing.deliveryIds || [] : []), deliveryId].filter(Boolean))],
+    heldAt: existing?.status === 'held' ? existing.heldAt : now,
+    updatedAt: now,
+    holdCount: (existing?.status === 'held' ? existing.holdCount || 0 : 0) + 1
+  };
+
+  await kv.set(key, entry);
+  await kv.lrem(QUEUE_INDEX_KEY, 0, id);
+  await kv.lpush(QUEUE_INDEX_KEY, id);
+  await kv.ltrim(QUEUE_INDEX_KEY, 0, MAX_QUEUE_ENTRIES - 1);
+
+  console.log(`🛑 Order held for review: ${id}`);
+  reasons.forEach(reason => console.log(`   - ${reason}`));
+
+  return entry;
+}
+
+/**
+ * Get a queue entry
+ *
+ * @param {string} source - 'woocommerce'
+ * @param {string|number} orderId - Source order ID
+ * @returns {Object|null} Queue entry
+ */
+export async function getHeldOrder(source, orderId) {
+  return kv.get(`${QUEUE_PREFIX}${queueId(source, orderId)}`);
+}
+
+/**
+ * List queue entries (newest first)
+ *
+ * @param {Object} options - { status: 'held' | 'all', limit }
+ * @returns {Array} Queue entries without payloads
+ */
+export async function listHeldOrders({ status = 'held', limit = 50 } = {}) {
+  const ids = await kv.lrange(QUEUE_INDEX_KEY, 0, MAX_QUEUE_ENTRIES - 1);
+  const entries = [];
+
+  for (const id of ids || []) {
+    const entry = await kv.get(`${QUEUE_PREFIX}${id}`);
+    if (!entry) continue;
+    if (status !== 'all' && entry.status !== status) continue;
+
+    const { payload, ...rest } = entry;
+    entries.push(rest);
+    if (entries.length >= limit) break;
+  }
+
+  return entries;
+}
+
+/**
+ * Close out a held order
+ *
+ * @param {Object} entry - Queue entry
+ * @param {string} status - 'released', 'synced' or 'dismissed'
+ * @param {Object} details - Extra fields to record (resolvedBy, result, note)
+ * @returns {Object} Updated entry
+ */
+export async function resolveHeldOrder(entry, status, details = {}) {
+  const updated = {
+    ...entry,
+    ...details,
+    status,
+    resolvedAt: new Date().toISOString()
+  };
+
+  await kv.set(`${QUEUE_PREFIX}${queueId(entry.source, entry.orderId)}`, updated, { ex: RESOLVED_TTL_SECONDS });
+  console.log(`✅ Review queue: ${entry.source}:${entry.orderId} ${status}`);
+
+  return updated;
+}
+
+/**
+ * Mark an order as synced if it was held (non-fatal)
+ * Called after a successful post so a queued copy isn't released twice
+ *
+ * @param {string} source - 'woocommerce'
+ * @param {string|number} orderId - Source order ID
+ */
+export async function clearHeldOrder(source, orderId) {
+  try {
+    const entry = await getHeldOrder(source, orderId);
+    if (entry?.status === 'held') {
+      await resolveHeldOrder(entry, 'synced');
+    }
+  } catch (error) {
+    console.error(`⚠️  Failed to clear review queue entry for ${source}:${orderId}: ${error.message}`);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Source Snapshots → QuickBooks Attachments
+ *
+ * @version 1.0.0
+ * @description Attaches a JSON snapshot of what a document was built from (the
+ *              normalized order / booking and the Stripe payment) to the QB
+ *              Sales Receipt, Invoice or Payment, so the numbers can be traced
+ *              after the webhook logs have expired
+ * @lastUpdated 2026-10-19
+ *
+ * Snapshot file (e.g. woocommerce-780.json):
+ *   { source, sourceId, capturedAt, document: { type, id, docNumber }, record, stripe }
+ *
+ * Sanitized before upload: raw payloads (keys starting with "_") are dropped,
+ * and secrets, card details, IP addresses and user agents are redacted at any depth.
+ *
+ * Environment Variables:
+ *   - QB_ATTACH_SNAPSHOTS=off: Disable attachments
+ */
+
+import { uploadAttachment } from './quickbooks.js';
+
+const REDACTED = '[redacted]';
+const SENSITIVE_KEY = /secret|token|password|signature|authorization|api_?key|card|cvc|ip_address|user_agent/i;
+
+/**
+ * Whether snapshots should be attached at all
+ */
+export function isSnapshotAttachmentEnabled() {
+  return process.env.QB_ATTACH_SNAPSHOTS !== 'off';
+}
+
+/**
+ * Build the sanitized snapshot for a source record
+ *
+ * @param {Object} params
+ * @param {string} params.source - 'woocommerce', 'ycbm' or 'ids'
+ * @param {string|number} params.sourceId - Order ID, booking ref or billing key
+ * @param {Object} params.record - Normalized order / booking / usage
+ * @param {Object} params.stripe - Stripe payment details (optional)
+ * @param {Object} params.document - { type, id, docNumber } of the QB document (optional)
+ * @returns {Object} Snapshot
+ */
+export function buildSourceSnapshot({ source, sourceId, record, stripe = null, document = null }) {
+  return {
+    source,
+    sourceId: String(sourceId),
+    capturedAt: new Date().toISOString(),
+    ...(document && { document: { type: document.type, id: String(document.id), docNumber: document.docNumber || null } }),
+    record: sanitize(record),
+    stripe: stripe ? sanitize(stripe) : null
+  };
+}
+
+/**
+ * Attach a snapshot to each QB transaction created for a source record
+ *
+ * Never throws: the documents already exist, and a failed upload must not
+ * fail (and so redeliver) the webhook.
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} snapshot - From buildSourceSnapshot()
+ * @param {Array} targets - [{ type: 'SalesReceipt'|'Invoice'|'Payment', id }]
+ * @returns {Array|null} [{ type, id, attachableId } or { type, id, error }], or null when disabled
+ */
+export async function attachSourceSnapshot(qb, snapshot, targets) {
+  if (!isSnapshotAttachmentEnabled()) return null;
+
+  console.log(`\n📎 ATTACHING SOURCE SNAPSHOT (${snapshot.source} ${snapshot.sourceId})...`);
+
+  const fileName = `${snapshot.source}-${snapshot.sourceId}.json`.replace(/[^a-zA-Z0-9._-]/g, '-');
+  const content = Buffer.from(JSON.stringify(snapshot, null, 2));
+  const attachments = [];
+
+  for (const target of targets) {
+    try {
+      const attachable = await uploadAttachment(qb, {
+        fileName,
+        contentType: 'application/json',
+        content,
+        entityType: target.type,
+        entityId: target.id
+      });
+
+      console.log(`   ✓ ${fileName} attached to ${target.type} ${target.id} (Attachable ${attachable.Id})`);
+      attachments.push({ type: target.type, id: String(target.id), attachableId: String(attachable.Id) });
+    } catch (error) {
+      console.warn(`   ⚠ Snapshot not attached to ${target.type} ${target.id}: ${error.message}`);
+      attachments.push({ type: target.type, id: String(target.id), error: error.message });
+    }
+  }
+
+  return attachments;
+}
+
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !key.startsWith('_'))
+      .map(([key, entry]) => [key, SENSITIVE_KEY.test(key) ? REDACTED : sanitize(entry)])
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * Stripe Fees → QuickBooks
+ *
+ * @version 1.2.1
+ * @description Posts the Stripe processing fee behind each sale as a Purchase
+ *              out of the account the sale was deposited to (Stripe clearing)
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.2.1:
+ * - Fee Purchases are dated in QB_TIMEZONE (lib/txn-dates.js), not UTC, so an
+ *   evening sale's fee lands on the sale's day
+ *
+ * CHANGELOG v1.2.0:
+ * - Fee Purchases re-dated out of a closed QB period keep the decision (closedPeriod)
+ *
+ * CHANGELOG v1.1.0:
+ * - Fees booked by a payout Deposit (fee.depositId) are not posted again
+ * - Exported getStripeFeeAccountRef() for the payout Deposit fee line
+ *
+ * Sales are booked gross into the clearing account; the fee Purchase takes the
+ * fee back out, so the clearing account holds exactly what Stripe will pay out.
+ *
+ * Environment Variables:
+ *   - QB_STRIPE_FEE_ACCOUNT: Expense account name (default "Stripe Fees")
+ *   - QB_STRIPE_FEE_ACCOUNT_ID: Expense account ID (skips the name lookup)
+ *   - QB_STRIPE_VENDOR_ID: Vendor for the Purchase payee (optional)
+ *   - STRIPE_FEE_POSTING=off: Disable fee posting
+ *
+ * KV layout:
+ *   stripe_charge:{chargeId} - { chargeId, source, orderId, sale, fee, ... }
+ *   Used by payout reconciliation to find the QB transactions behind a charge.
+ */
+
+import { kv } from '@vercel/kv';
+import { createPurchase, findAccountByName } from './quickbooks.js';
+import { getChargeBalance, centsToDollars } from './stripe-lookup.js';
+import { getStripeTxnDate } from './txn-dates.js';
+
+const CHARGE_INDEX_PREFIX = 'stripe_charge:';
+const CHARGE_INDEX_TTL_SECONDS = 31536000; // 1 year - covers any payout delay or late reconciliation
+
+let feeAccountRef = null;
+
+/**
+ * Whether a payment gateway transaction ID is a Stripe charge / PaymentIntent
+ */
+export function isStripeTransactionId(id) {
+  return /^(ch|py|pi)_/.test(id || '');
+}
+
+/**
+ * Whether fees should be posted at all
+ */
+export function isStripeFeePostingEnabled() {
+  return !!process.env.STRIPE_SECRET_KEY && process.env.STRIPE_FEE_POSTING !== 'off';
+}
+
+/**
+ * Get the QB transactions recorded for a Stripe charge
+ *
+ * @param {string} chargeId - Stripe charge ID (ch_...)
+ * @returns {Object|null} Charge index entry
+ */
+export async function getChargeIndex(chargeId) {
+  return kv.get(`${CHARGE_INDEX_PREFIX}${chargeId}`);
+}
+
+/**
+ * Merge QB transaction details into a charge's index entry
+ *
+ * @param {string} chargeId - Stripe charge ID
+ * @param {Object} data - Fields to merge
+ * @returns {Object} Updated entry
+ */
+export async function indexStripeCharge(chargeId, data) {
+  const key = `${CHARGE_INDEX_PREFIX}${chargeId}`;
+  const existing = await kv.get(key);
+  const entry = {
+    ...existing,
+    ...data,
+    chargeId,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await kv.set(key, entry, { ex: CHARGE_INDEX_TTL_SECONDS });
+  return entry;
+}
+
+/**
+ * Post the Stripe fee for a sale
+ *
+ * Idempotent per charge: a charge that already has a fee Purchase is skipped.
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} details
+ * @param {string} details.stripeId - Charge or PaymentIntent ID behind the sale
+ * @param {Object} details.sale - { source, orderId, type, id, docNumber } of the QB sale document
+ * @param {Object} details.clearingAccountRef - Account the sale was deposited to
+ * @param {string} details.label - Human label for the memo (e.g. "WooCommerce Order #780")
+ * @returns {Object} { chargeId, fee, net, purchaseId, existing }
+ */
+export async function postStripeFee(qb, { stripeId, sale, clearingAccountRef, label }) {
+  console.log(`\n💸 POSTING STRIPE FEE for ${label}...`);
+
+  const balance = await getChargeBalance(stripeId);
+  const index = await getChargeIndex(balance.chargeId);
+
+  const saleIndex = {
+    source: sale.source,
+    orderId: String(sale.orderId),
+    paymentIntentId: balance.paymentIntentId,
+    balanceTransactionId: balance.balanceTransactionId,
+    gross: centsToDollars(balance.amount),
+    sale: { type: sale.type, id: sale.id, docNumber: sale.docNumber || null },
+    clearingAccountId: clearingAccountRef.value
+  };
+
+  if (index?.fee?.purchaseId || index?.fee?.depositId) {
+    console.log(`   ⏭ Fee already posted (${index.fee.purchaseId ? `Purchase ${index.fee.purchaseId}` : `Deposit ${index.fee.depositId}`})`);
+    return { chargeId: balance.chargeId, ...index.fee, existing: true };
+  }
+
+  const fee = centsToDollars(balance.fee);
+  const net = centsToDollars(balance.net);
+
+  if (!(fee > 0)) {
+    console.log('   No fee on this charge');
+    await indexStripeCharge(balance.chargeId, { ...saleIndex, fee: { amount: 0, net, purchaseId: null } });
+    return { chargeId: balance.chargeId, amount: 0, net, purchaseId: null, existing: false };
+  }
+
+  const purchaseData = {
+    AccountRef: { value: String(clearingAccountRef.value) },
+    PaymentType: 'Cash',
+    TxnDate: getStripeTxnDate(balance.created),
+    PrivateNote: `Stripe fee | ${label} | ${sale.type} ${sale.docNumber || `ID:${sale.id}`} | ${balance.chargeId}`,
+    Line: [{
+      Amount: fee,
+      DetailType: 'AccountBasedExpenseLineDetail',
+      AccountBasedExpenseLineDetail: {
+        AccountRef: await getStripeFeeAccountRef(qb)
+      },
+      Description: `Stripe processing fee - ${label}`
+    }]
+  };
+
+  if (process.env.QB_STRIPE_VENDOR_ID) {
+    purchaseData.EntityRef = { value: String(process.env.QB_STRIPE_VENDOR_ID), type: 'Vendor' };
+  }
+
+  const purchase = await createPurchase(qb, purchaseData);
+  console.log(`   ✓ Fee Purchase created: $${fee.toFixed(2)} (Purchase ID: ${purchase.Id}, net $${net.toFixed(2)})`);
+
+  const feeRecord = {
+    amount: fee,
+    net,
+    purchaseId: String(purchase.Id),
+    postedAt: new Date().toISOString(),
+    ...(purchase.closedPeriod && { closedPeriod: purchase.closedPeriod })
+  };
+
+  try {
+    await indexStripeCharge(balance.chargeId, { ...saleIndex, fee: feeRecord });
+  } catch (error) {
+    // The Purchase exists - a missing index only costs payout matching
+    console.error(`   ⚠️  Failed to index Stripe charge ${balance.chargeId}: ${error.message}`);
+  }
+
+  return { chargeId: balance.chargeId, ...feeRecord, existing: false };
+}
+
+/**
+ * Post a sale's fee without failing the sale
+ * Returns the fee, or { error } so callers can surface it in their response
+ */
+export async function postStripeFeeSafely(qb, details) {
+  if (!isStripeFeePostingEnabled()) return null;
+
+  try {
+    return await postStripeFee(qb, details);
+  } catch (error) {
+    console.warn(`   ⚠ Stripe fee not posted for ${details.label}: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Resolve the Stripe fee expense account
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @returns {Object} { value, name }
+ */
+export async function getStripeFeeAccountRef(qb) {
+  if (process.env.QB_STRIPE_FEE_ACCOUNT_ID) {
+    return { value: String(process.env.QB_STRIPE_FEE_ACCOUNT_ID) };
+  }
+  if (feeAccountRef) return feeAccountRef;
+
+  const name = process.env.QB_STRIPE_FEE_ACCOUNT || 'Stripe Fees';
+  const account = await findAccountByName(qb, name);
+  if (!account) {
+    throw new Error(`QB expense account "${name}" not found - set QB_STRIPE_FEE_ACCOUNT or QB_STRIPE_FEE_ACCOUNT_ID`);
+  }
+
+  feeAccountRef = { value: String(account.Id), name: account.Name };
+  return feeAccountRef;
+}
@@ -1,9 +1,19 @@
 /**
  * Stripe Payment Lookup for YCBM Integration
  * 
- * @version 2.0.1
+ * @version 2.3.0
  * @description Search Stripe for payments by email and extract discount details
- * @lastUpdated 2025-01-02
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v2.3.0:
+ * - Payment results include created (Unix timestamp) for the QB TxnDate
+ * 
+ * CHANGELOG v2.2.0:
+ * - Added listPaidPayouts() and getPayoutTransactions() for payout reconciliation
+ * 
+ * CHANGELOG v2.1.0:
+ * - Added getChargeBalance() to fetch the balance transaction (fee / net) for a charge
+ * - Session results include paymentIntentId
  * 
  * CHANGELOG v2.0.1:
  * - Fixed ES module syntax (import/export)
@@ -96,6 +106,8 @@ async function extractSessionDetails(stripe, session) {
   const result = {
     found: true,
     sessionId: session.id,
+    paymentIntentId: session.payment_intent || null,
+    created: session.created,
     amountPaid: session.amount_total || 0,           // Amount actually charged (in cents)
     subtotal: session.amount_subtotal || 0,          // Before discount (in cents)
     discountAmount: 0,
@@ -193,6 +205,7 @@ function extractChargeDetails(charge) {
   const result = {
     found: true,
     chargeId: charge.id,
+    created: charge.created,
     amountPaid: charge.amount || 0,
     subtotal: charge.amount || 0,    // Can't determine original amount from charge alone
     discountAmount: 0,
@@ -221,6 +234,105 @@ function extractChargeDetails(charge) {
   return result;
 }
 
+/**
+ * Get the balance transaction behind a charge (what Stripe kept as fees)
+ * 
+ * Accepts a charge ID (ch_/py_) or a PaymentIntent ID (pi_) - WooCommerce
+ * stores either as the order's transaction_id depending on the Stripe plugin.
+ * 
+ * @param {string} id - Charge or PaymentIntent ID
+ * @returns {Object} { chargeId, paymentIntentId, balanceTransactionId, amount, fee, net, currency, created, availableOn, feeDetails } (amounts in cents)
+ * @throws {Error} If Stripe can't find the charge or it has no balance transaction yet
+ */
+export async function getChargeBalance(id) {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  
+  let charge;
+  if (id.startsWith('pi_')) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(id, {
+      expand: ['latest_charge.balance_transaction']
+    });
+    charge = paymentIntent.latest_charge;
+  } else {
+    charge = await stripe.charges.retrieve(id, { expand: ['balance_transaction'] });
+  }
+  
+  const balance = charge?.balance_transaction;
+  if (!balance || typeof balance !== 'object') {
+    throw new Error(`Stripe charge ${charge?.id || id} has no balance transaction yet`);
+  }
+  
+  console.log(`   💳 Stripe ${charge.id}: gross $${(balance.amount / 100).toFixed(2)}, fee $${(balance.fee / 100).toFixed(2)}, net $${(balance.net / 100).toFixed(2)}`);
+  
+  return {
+    chargeId: charge.id,
+    paymentIntentId: charge.payment_intent || null,
+    balanceTransactionId: balance.id,
+    amount: balance.amount,
+    fee: balance.fee,
+    net: balance.net,
+    currency: balance.currency,
+    created: balance.created,
+    availableOn: balance.available_on,
+    feeDetails: (balance.fee_details || []).map(detail => ({
+      type: detail.type,
+      amount: detail.amount,
+      description: detail.description
+    }))
+  };
+}
+
+/**
+ * List payouts that have reached the bank
+ * 
+ * @param {Object} options - { since: unix seconds (arrival date), payoutId: fetch one payout }
+ * @returns {Array} Stripe Payout objects (newest first)
+ */
+export async function listPaidPayouts({ since, payoutId = null }) {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  
+  if (payoutId) {
+    return [await stripe.payouts.retrieve(payoutId)];
+  }
+  
+  return stripe.payouts
+    .list({ status: 'paid', arrival_date: { gte: since }, limit: 100 })
+    .autoPagingToArray({ limit: 500 });
+}
+
+/**
+ * Get the balance transactions settled by a payout
+ * 
+ * @param {string} payoutId - Stripe payout ID (po_...)
+ * @returns {Array} { id, type, amount, fee, net, chargeId, refundId, description, created } (amounts in cents)
+ */
+export async function getPayoutTransactions(payoutId) {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  
+  const transactions = await stripe.balanceTransactions
+    .list({ payout: payoutId, expand: ['data.source'], limit: 100 })
+    .autoPagingToArray({ limit: 10000 });
+  
+  return transactions.map(txn => {
+    const source = txn.source && typeof txn.source === 'object' ? txn.source : null;
+    const isRefund = source?.object === 'refund';
+    
+    return {
+      id: txn.id,
+      type: txn.type,
+      amount: txn.amount,
+      fee: txn.fee,
+      net: txn.net,
+      chargeId: source?.object === 'charge'
+        ? source.id
+        : (isRefund ? (typeof source.charge === 'object' ? source.charge?.id : source.charge) || null : null),
+      refundId: isRefund ? source.id : null,
+      description: txn.description,
+      created: txn.created
+    };
+  });
+}
+
 /**
  * Convert cents to dollars
  */
@@ -0,0 +1,378 @@
+/**
+ * Stripe Payouts → QuickBooks Deposits
+ *
+ * @version 1.1.0
+ * @description Turns each Stripe payout into one QB Deposit that moves the
+ *              payout's charges out of the Stripe clearing account
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.1.0:
+ * - Deposits re-dated out of a closed QB period keep the decision (closedPeriod) on the record
+ *
+ * Every balance transaction in the payout must trace back to a QB sale this
+ * system created (via the stripe_charge:{chargeId} index written by
+ * lib/stripe-fees.js). If anything doesn't match, the payout is recorded as a
+ * mismatch with its reasons and nothing is posted - the books are never
+ * "made to balance" by guesswork.
+ *
+ * Deposit lines:
+ *   - One line per charge (gross), from the account the sale was deposited to.
+ *     Sales sitting in Undeposited Funds are linked to the Deposit directly.
+ *   - One negative line per refund, against the same account (the Refund
+ *     Receipt already paid it out of there)
+ *   - Fees already posted as Purchases: negative line against the clearing
+ *     account (the Purchase expensed them)
+ *   - Fees not yet posted, and standalone Stripe fees: negative line against
+ *     the Stripe fee expense account
+ *
+ * Environment Variables:
+ *   - QB_STRIPE_PAYOUT_ACCOUNT: Bank account name payouts land in (default "Checking")
+ *   - QB_STRIPE_PAYOUT_ACCOUNT_ID: Bank account ID (skips the name lookup)
+ *
+ * KV layout:
+ *   stripe_payout:{payoutId}  - { payoutId, status, amount, arrivalDate, depositId, mismatches[], ... }
+ *   stripe_payout_ids         - Payout IDs (newest first)
+ *   stripe_payout_lock:{payoutId} - Short-lived lock while a Deposit is being posted
+ */
+
+import { kv } from '@vercel/kv';
+import { createDeposit, findAccountByName } from './quickbooks.js';
+import { getPayoutTransactions, centsToDollars, dollarsToCents } from './stripe-lookup.js';
+import { getChargeIndex, indexStripeCharge, getStripeFeeAccountRef } from './stripe-fees.js';
+import { getSyncEntry } from './sync-ledger.js';
+
+const PAYOUT_PREFIX = 'stripe_payout:';
+const PAYOUT_INDEX_KEY = 'stripe_payout_ids';
+const LOCK_PREFIX = 'stripe_payout_lock:';
+const MAX_PAYOUT_RECORDS = 500;
+const LOCK_TTL_SECONDS = 300;
+
+// Balance transaction types that belong to a charge / refund
+const CHARGE_TYPES = ['charge', 'payment'];
+const REFUND_TYPES = ['refund', 'payment_refund'];
+
+/**
+ * Get a payout's reconciliation record
+ *
+ * @param {string} payoutId - Stripe payout ID (po_...)
+ * @returns {Object|null} Payout record
+ */
+export async function getPayoutRecord(payoutId) {
+  return kv.get(`${PAYOUT_PREFIX}${payoutId}`);
+}
+
+/**
+ * List payout records (newest first)
+ *
+ * @param {Object} options - { status: 'deposited' | 'mismatch' | 'all', limit }
+ * @returns {Array} Payout records without their deposit lines
+ */
+export async function listPayoutRecords({ status = 'all', limit = 50 } = {}) {
+  const ids = await kv.lrange(PAYOUT_INDEX_KEY, 0, MAX_PAYOUT_RECORDS - 1);
+  const records = [];
+
+  for (const id of ids || []) {
+    const record = await kv.get(`${PAYOUT_PREFIX}${id}`);
+    if (!record) continue;
+    if (status !== 'all' && record.status !== status) continue;
+
+    const { lines, ...rest } = record;
+    records.push(rest);
+    if (records.length >= limit) break;
+  }
+
+  return records;
+}
+
+/**
+ * Reconcile one payout into a QB Deposit
+ *
+ * Payouts already deposited are skipped; mismatched payouts are re-checked on
+ * every run (a late webhook may have filled in the missing sale).
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} payout - Stripe Payout object
+ * @param {Object} options - { dryRun }
+ * @returns {Object} Payout record (status: deposited | mismatch | ready | skipped)
+ */
+export async function reconcilePayout(qb, payout, { dryRun = false } = {}) {
+  const arrivalDate = new Date(payout.arrival_date * 1000).toISOString().split('T')[0];
+  console.log(`\n🏦 PAYOUT ${payout.id}: $${centsToDollars(payout.amount).toFixed(2)} (arrived ${arrivalDate})`);
+
+  const existing = await getPayoutRecord(payout.id);
+  if (existing?.status === 'deposited') {
+    console.log(`   ⏭ Already deposited (Deposit ${existing.depositId})`);
+    return { ...existing, status: 'skipped', reason: 'already deposited' };
+  }
+
+  const transactions = await getPayoutTransactions(payout.id);
+  const plan = await planDeposit(qb, payout, transactions);
+
+  const record = {
+    payoutId: payout.id,
+    amount: centsToDollars(payout.amount),
+    currency: payout.currency,
+    arrivalDate,
+    transactions: transactions.length,
+    charges: plan.charges.length,
+    refunds: plan.refunds.length,
+    fees: centsToDollars(plan.feesCents),
+    lines: plan.lines,
+    mismatches: plan.mismatches,
+    checkedAt: new Date().toISOString(),
+    firstCheckedAt: existing?.firstCheckedAt || new Date().toISOString()
+  };
+
+  if (plan.mismatches.length > 0) {
+    console.warn(`   ⚠ ${plan.mismatches.length} mismatch(es) - not posting`);
+    plan.mismatches.forEach(mismatch => console.warn(`     - ${mismatch.reason}`));
+
+    const mismatched = { ...record, status: 'mismatch' };
+    if (!dryRun) await savePayoutRecord(mismatched, !existing);
+    return mismatched;
+  }
+
+  if (dryRun) {
+    console.log(`   ✓ Ready: ${plan.lines.length} deposit lines`);
+    return { ...record, status: 'ready' };
+  }
+
+  if (!(await acquirePayoutLock(payout.id))) {
+    console.log('   ⏭ Another run is posting this payout');
+    return { ...record, status: 'skipped', reason: 'locked' };
+  }
+
+  try {
+    const deposit = await createDeposit(qb, {
+      DepositToAccountRef: await getPayoutAccountRef(qb),
+      TxnDate: arrivalDate,
+      PrivateNote: `Stripe payout ${payout.id} | ${plan.charges.length} charge(s), ${plan.refunds.length} refund(s)`,
+      Line: plan.lines.map(toDepositLine)
+    });
+    console.log(`   ✓ Deposit created: $${deposit.TotalAmt} (Deposit ID: ${deposit.Id})`);
+
+    const deposited = {
+      ...record,
+      status: 'deposited',
+      depositId: String(deposit.Id),
+      depositedAt: new Date().toISOString(),
+      ...(deposit.closedPeriod && { closedPeriod: deposit.closedPeriod })
+    };
+    await savePayoutRecord(deposited, !existing);
+    await markChargesDeposited(plan, deposited);
+
+    return deposited;
+  } finally {
+    await kv.del(`${LOCK_PREFIX}${payout.id}`).catch(() => {});
+  }
+}
+
+/**
+ * Match every balance transaction to a QB sale / refund and build the lines
+ * Amounts are kept in cents until the lines are written
+ */
+async function planDeposit(qb, payout, transactions) {
+  const undepositedFundsId = await getUndepositedFundsId(qb);
+  const lines = [];
+  const mismatches = [];
+  const charges = [];
+  const refunds = [];
+  const expensedFees = new Map(); // clearing account ID → cents
+  let unexpensedFeesCents = 0;
+  let feesCents = 0;
+
+  const mismatch = (txn, reason) => mismatches.push({
+    balanceTransactionId: txn.id,
+    type: txn.type,
+    chargeId: txn.chargeId,
+    amount: centsToDollars(txn.amount),
+    reason
+  });
+
+  for (const txn of transactions) {
+    // The payout's own transaction
+    if (txn.type === 'payout') continue;
+
+    feesCents += txn.fee;
+
+    if (txn.type === 'stripe_fee') {
+      // Billing / Radar fees charged against the balance (amount is negative)
+      unexpensedFeesCents -= txn.amount;
+      feesCents -= txn.amount;
+      continue;
+    }
+
+    if (![...CHARGE_TYPES, ...REFUND_TYPES].includes(txn.type)) {
+      mismatch(txn, `Unsupported balance transaction type "${txn.type}" (${txn.description || txn.id})`);
+      continue;
+    }
+
+    const index = txn.chargeId ? await getChargeIndex(txn.chargeId) : null;
+    if (!index?.sale?.id) {
+      mismatch(txn, `Charge ${txn.chargeId || '(unknown)'} has no QB sale recorded by this system`);
+      continue;
+    }
+
+    const label = `${index.source} #${index.orderId} - ${index.sale.type} ${index.sale.docNumber || `ID:${index.sale.id}`}`;
+    const ledger = index.source === 'woocommerce' ? await getSyncEntry(index.source, index.orderId) : null;
+
+    if (ledger?.voided) {
+      mismatch(txn, `${label} was voided in QB but the charge was paid out`);
+      continue;
+    }
+
+    if (CHARGE_TYPES.includes(txn.type)) {
+      if (dollarsToCents(index.gross) !== txn.amount) {
+        mismatch(txn, `${label}: Stripe charged $${centsToDollars(txn.amount).toFixed(2)} but QB sale was indexed at $${index.gross.toFixed(2)}`);
+        continue;
+      }
+      if (index.payout?.depositId) {
+        mismatch(txn, `${label} was already deposited (payout ${index.payout.payoutId}, Deposit ${index.payout.depositId})`);
+        continue;
+      }
+
+      charges.push(txn.chargeId);
+      lines.push({
+        amountCents: txn.amount,
+        accountId: index.clearingAccountId,
+        linkedTxn: index.clearingAccountId === undepositedFundsId ? index.sale : null,
+        description: `${label} (${txn.chargeId})`
+      });
+    } else {
+      if (ledger && Object.keys(ledger.refunds || {}).length === 0) {
+        mismatch(txn, `${label}: refunded in Stripe but no refund was posted to QB`);
+        continue;
+      }
+
+      refunds.push(txn.chargeId);
+      lines.push({
+        amountCents: txn.amount,
+        accountId: index.clearingAccountId,
+        linkedTxn: null,
+        description: `Refund ${txn.refundId || txn.id} - ${label}`
+      });
+    }
+
+    // Fees the sale already expensed were taken out of its clearing account
+    if (txn.fee !== 0) {
+      if (index.fee?.purchaseId) {
+        if (dollarsToCents(index.fee.amount) !== txn.fee) {
+          mismatch(txn, `${label}: Stripe fee $${centsToDollars(txn.fee).toFixed(2)} differs from posted fee $${index.fee.amount.toFixed(2)} (Purchase ${index.fee.purchaseId})`);
+          continue;
+        }
+        expensedFees.set(index.clearingAccountId, (expensedFees.get(index.clearingAccountId) || 0) + txn.fee);
+      } else {
+        unexpensedFeesCents += txn.fee;
+      }
+    }
+  }
+
+  for (const [accountId, cents] of expensedFees) {
+    lines.push({
+      amountCents: -cents,
+      accountId,
+      linkedTxn: null,
+      description: 'Stripe fees (already expensed per sale)'
+    });
+  }
+
+  if (unexpensedFeesCents !== 0) {
+    lines.push({
+      amountCents: -unexpensedFeesCents,
+      accountId: (await getStripeFeeAccountRef(qb)).value,
+      linkedTxn: null,
+      description: 'Stripe fees'
+    });
+  }
+
+  const totalCents = lines.reduce((sum, line) => sum + line.amountCents, 0);
+  if (mismatches.length === 0 && totalCents !== payout.amount) {
+    mismatches.push({
+      balanceTransactionId: null,
+      type: 'total',
+      chargeId: null,
+      amount: centsToDollars(totalCents),
+      reason: `Deposit lines total $${centsToDollars(totalCents).toFixed(2)} but payout is $${centsToDollars(payout.amount).toFixed(2)}`
+    });
+  }
+
+  return {
+    lines: lines.map(({ amountCents, ...line }) => ({ ...line, amount: centsToDollars(amountCents) })),
+    mismatches,
+    charges,
+    refunds,
+    feesCents,
+    unexpensedFeesCents
+  };
+}
+
+function toDepositLine(line) {
+  if (line.linkedTxn) {
+    return {
+      Amount: line.amount,
+      LinkedTxn: [{ TxnId: String(line.linkedTxn.id), TxnType: line.linkedTxn.type, TxnLineId: '0' }]
+    };
+  }
+
+  return {
+    Amount: line.amount,
+    DetailType: 'DepositLineDetail',
+    DepositLineDetail: { AccountRef: { value: String(line.accountId) } },
+    Description: line.description
+  };
+}
+
+/**
+ * Point each charge's index at the Deposit; fees with no Purchase were booked
+ * by the Deposit's fee line, so record that to stop them being posted again
+ */
+async function markChargesDeposited(plan, deposited) {
+  const payoutRef = { payoutId: deposited.payoutId, depositId: deposited.depositId };
+
+  for (const chargeId of new Set([...plan.charges, ...plan.refunds])) {
+    try {
+      const index = await getChargeIndex(chargeId);
+      const update = plan.charges.includes(chargeId) ? { payout: payoutRef } : { refundPayout: payoutRef };
+
+      if (plan.charges.includes(chargeId) && !index?.fee?.purchaseId) {
+        update.fee = { ...index?.fee, purchaseId: null, depositId: deposited.depositId, postedAt: deposited.depositedAt };
+      }
+
+      await indexStripeCharge(chargeId, update);
+    } catch (error) {
+      console.error(`   ⚠️  Failed to mark charge ${chargeId} deposited: ${error.message}`);
+    }
+  }
+}
+
+async function savePayoutRecord(record, isNew) {
+  await kv.set(`${PAYOUT_PREFIX}${record.payoutId}`, record);
+  if (isNew) {
+    await kv.lpush(PAYOUT_INDEX_KEY, record.payoutId);
+    await kv.ltrim(PAYOUT_INDEX_KEY, 0, MAX_PAYOUT_RECORDS - 1);
+  }
+}
+
+async function acquirePayoutLock(payoutId) {
+  const result = await kv.set(`${LOCK_PREFIX}${payoutId}`, new Date().toISOString(), { nx: true, ex: LOCK_TTL_SECONDS });
+  return result === 'OK';
+}
+
+async function getPayoutAccountRef(qb) {
+  if (process.env.QB_STRIPE_PAYOUT_ACCOUNT_ID) {
+    return { value: String(process.env.QB_STRIPE_PAYOUT_ACCOUNT_ID) };
+  }
+
+  const name = process.env.QB_STRIPE_PAYOUT_ACCOUNT || 'Checking';
+  const account = await findAccountByName(qb, name);
+  if (!account) {
+    throw new Error(`QB bank account "${name}" not found - set QB_STRIPE_PAYOUT_ACCOUNT or QB_STRIPE_PAYOUT_ACCOUNT_ID`);
+  }
+
+  return { value: String(account.Id), name: account.Name };
+}
+
+async function getUndepositedFundsId(qb) {
+  const account = await findAccountByName(qb, 'Undeposited Funds');
+  return account ? String(account.Id) : null;
+}
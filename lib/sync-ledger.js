@@ -0,0 +1,344 @@
+/**
+ * Sync Ledger
+ *
+ * @version 1.5.0
+ * @description Persistent record of the QuickBooks documents created for each
+ *              source order, used to short-circuit redelivered webhooks
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.5.0:
+ * - Closed-period decisions are also kept in a cross-order index
+ *   (listClosedPeriodDecisions(), read by /api/sync-history)
+ *
+ * CHANGELOG v1.4.1:
+ * - recordRefund() accepts a skipped refund ({ skipped: reason }, no document)
+ *
+ * CHANGELOG v1.4.0:
+ * - Added recordClosedPeriodDecision() (documents re-dated or held by the closed-period guard)
+ * 
+ * CHANGELOG v1.3.0:
+ * - Ledger entries keep a snapshot of the order as posted (for edit diffs)
+ * - Added saveSyncEntry(), appendSyncHistory() and getSyncHistory()
+ * 
+ * CHANGELOG v1.2.0:
+ * - Added recordVoid() for documents voided after an order is cancelled
+ * 
+ * CHANGELOG v1.1.0:
+ * - Ledger entries track refund documents by WooCommerce refund ID (recordRefund)
+ *
+ * KV layout:
+ *   sync_ledger:{source}:{orderId}  - Ledger entry (QB document + original result)
+ *   sync_delivery:{deliveryId}      - Delivery ID → { source, orderId }
+ *   sync_lock:{source}:{orderId}    - Short-lived lock while an order is being posted
+ *   sync_history:{source}:{orderId} - Change history (newest first)
+ *   sync_closed_period              - Closed-period decisions across orders (newest first)
+ */
+
+import { kv } from '@vercel/kv';
+
+const LEDGER_PREFIX = 'sync_ledger:';
+const DELIVERY_PREFIX = 'sync_delivery:';
+const LOCK_PREFIX = 'sync_lock:';
+const HISTORY_PREFIX = 'sync_history:';
+const CLOSED_PERIOD_INDEX_KEY = 'sync_closed_period';
+const MAX_HISTORY_ENTRIES = 50;
+const MAX_CLOSED_PERIOD_ENTRIES = 200;
+
+const DELIVERY_TTL_SECONDS = 7776000; // 90 days - WooCommerce stops redelivering long before this
+const LOCK_TTL_SECONDS = 120;         // Longer than any single QB round-trip
+
+function ledgerKey(source, orderId) {
+  return `${LEDGER_PREFIX}${source}:${orderId}`;
+}
+
+function lockKey(source, orderId) {
+  return `${LOCK_PREFIX}${source}:${orderId}`;
+}
+
+/**
+ * Get the ledger entry for an order
+ *
+ * Throws if KV is unavailable - callers must not post to QuickBooks
+ * when they can't tell whether the order was already synced.
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ * @returns {Object|null} Ledger entry or null if never synced
+ */
+export async function getSyncEntry(source, orderId) {
+  return kv.get(ledgerKey(source, orderId));
+}
+
+/**
+ * Look up which order a webhook delivery belongs to
+ *
+ * @param {string} deliveryId - x-wc-webhook-delivery-id header value
+ * @returns {Object|null} { source, orderId } or null if unseen
+ */
+export async function findDelivery(deliveryId) {
+  if (!deliveryId) return null;
+  return kv.get(`${DELIVERY_PREFIX}${deliveryId}`);
+}
+
+/**
+ * Remember a delivery ID against an order (non-fatal)
+ *
+ * @param {string} deliveryId - x-wc-webhook-delivery-id header value
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ */
+export async function recordDelivery(deliveryId, source, orderId) {
+  if (!deliveryId) return;
+
+  try {
+    await kv.set(
+      `${DELIVERY_PREFIX}${deliveryId}`,
+      { source, orderId: String(orderId), seenAt: new Date().toISOString() },
+      { ex: DELIVERY_TTL_SECONDS }
+    );
+  } catch (error) {
+    console.error(`⚠️  Failed to record delivery ${deliveryId}:`, error.message);
+  }
+}
+
+/**
+ * Claim an order for posting so concurrent deliveries don't both create documents
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ * @returns {boolean} True if the lock was acquired
+ */
+export async function acquireSyncLock(source, orderId) {
+  const result = await kv.set(
+    lockKey(source, orderId),
+    new Date().toISOString(),
+    { nx: true, ex: LOCK_TTL_SECONDS }
+  );
+  return result === 'OK';
+}
+
+/**
+ * Release an order lock (non-fatal - it expires on its own)
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ */
+export async function releaseSyncLock(source, orderId) {
+  try {
+    await kv.del(lockKey(source, orderId));
+  } catch (error) {
+    console.error(`⚠️  Failed to release sync lock for ${source} #${orderId}:`, error.message);
+  }
+}
+
+/**
+ * Record the QuickBooks document created for an order
+ *
+ * Never throws: the QB document already exists at this point, and failing the
+ * webhook would only cause WooCommerce to redeliver it.
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ * @param {Object} params
+ * @param {Object} params.document - { type, id, docNumber, total }
+ * @param {Object} params.result - Response body returned for the original delivery
+ * @param {string} params.deliveryId - Delivery that created the document (optional)
+ * @param {Object} params.snapshot - Order as posted, for diffing later edits (optional)
+ * @returns {Object|null} Saved ledger entry or null if KV write failed
+ */
+export async function recordSync(source, orderId, { document, result, deliveryId = null, snapshot = null }) {
+  const now = new Date().toISOString();
+
+  const entry = {
+    source,
+    orderId: String(orderId),
+    document,
+    result,
+    deliveryIds: deliveryId ? [deliveryId] : [],
+    refunds: {},
+    snapshot,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    await kv.set(ledgerKey(source, orderId), entry);
+    await recordDelivery(deliveryId, source, orderId);
+    await appendSyncHistory(entry, { action: 'created', document, deliveryId });
+
+    console.log(`📒 Sync ledger updated: ${source} #${orderId} → ${document.type} ${document.id}`);
+    return entry;
+  } catch (error) {
+    console.error(`⚠️  Failed to write sync ledger for ${source} #${orderId}:`, error.message);
+    if (!document.skipped) {
+      console.error(`   IMPORTANT: ${label} exists in QB - a redelivery may duplicate it!`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Add a repeat delivery ID to an existing ledger entry (non-fatal)
+ *
+ * @param {Object} entry - Existing ledger entry
+ * @param {string} deliveryId - x-wc-webhook-delivery-id header value
+ */
+export async function recordDuplicateDelivery(entry, deliveryId) {
+  if (!deliveryId || entry.deliveryIds?.includes(deliveryId)) return;
+
+  try {
+    entry.deliveryIds = [...(entry.deliveryIds || []), deliveryId];
+    entry.updatedAt = new Date().toISOString();
+    await kv.set(ledgerKey(entry.source, entry.orderId), entry);
+    await recordDelivery(deliveryId, entry.source, entry.orderId);
+  } catch (error) {
+    console.error(`⚠️  Failed to record duplicate delivery ${deliveryId}:`, error.message);
+  }
+}
+
+/**
+ * Record the QuickBooks document created for a refund
+ *
+ * Never throws, for the same reason as recordSync().
+ *
+ * @param {Object} entry - Existing ledger entry (updated in place)
+ * @param {string|number} refundId - Source refund ID
+ * @param {Object} document - { type, id, docNumber, total }, or { skipped: reason } when nothing was posted
+ * @returns {Object} Updated ledger entry
+ */
+export async function recordRefund(entry, refundId, document) {
+  const label = document.skipped ? 'skipped' : `${document.type} ${document.id}`;
+
+  entry.refunds = { ...(entry.refunds || {}), [String(refundId)]: document };
+  entry.updatedAt = new Date().toISOString();
+
+  try {
+    await kv.set(ledgerKey(entry.source, entry.orderId), entry);
+    await appendSyncHistory(entry, { action: 'refunded', refundId: String(refundId), document });
+    console.log(`📒 Sync ledger updated: ${entry.source} #${entry.orderId} refund ${refundId} → ${label}`);
+  } catch (error) {
+    console.error(`⚠️  Failed to record refund ${refundId} for ${entry.source} #${entry.orderId}:`, error.message);
+    console.error(`   IMPORTANT: ${document.type} ${document.id} exists in QB - a redelivery may duplicate it!`);
+  }
+
+  return entry;
+}
+
+/**
+ * Mark an order's QuickBooks document as voided
+ *
+ * @param {Object} entry - Existing ledger entry (updated in place)
+ * @param {Object} voided - { status, voidedAt, noticeSent }
+ * @returns {Object} Updated ledger entry
+ */
+export async function recordVoid(entry, voided) {
+  entry.voided = voided;
+  entry.updatedAt = new Date().toISOString();
+
+  try {
+    await kv.set(ledgerKey(entry.source, entry.orderId), entry);
+    await appendSyncHistory(entry, { action: 'voided', document: entry.document, ...voided });
+    console.log(`📒 Sync ledger updated: ${entry.source} #${entry.orderId} → ${entry.document.type} ${entry.document.id} voided`);
+  } catch (error) {
+    console.error(`⚠️  Failed to record void for ${entry.source} #${entry.orderId}:`, error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Save a modified ledger entry (non-fatal)
+ *
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean} True if saved
+ */
+export async function saveSyncEntry(entry) {
+  entry.updatedAt = new Date().toISOString();
+
+  try {
+    await kv.set(ledgerKey(entry.source, entry.orderId), entry);
+    return true;
+  } catch (error) {
+    console.error(`⚠️  Failed to save sync ledger for ${entry.source} #${entry.orderId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Append an event to an order's change history (non-fatal)
+ *
+ * @param {Object} entry - Ledger entry the event belongs to
+ * @param {Object} event - { action, ... } - timestamp is added automatically
+ */
+export async function appendSyncHistory(entry, event) {
+  const key = `${HISTORY_PREFIX}${entry.source}:${entry.orderId}`;
+
+  try {
+    await kv.lpush(key, { at: new Date().toISOString(), ...event });
+    await kv.ltrim(key, 0, MAX_HISTORY_ENTRIES - 1);
+  } catch (error) {
+    console.error(`⚠️  Failed to append sync history for ${entry.source} #${entry.orderId}:`, error.message);
+  }
+}
+
+/**
+ * Record what the closed-period guard did with an order's document
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ * @param {Object} decision - closedPeriod from lib/quickbooks.js ({ action, entityType, txnDate, closedThrough, ... })
+ * @param {Object} details - Extra fields for the history event (document, deliveryId)
+ */
+export async function recordClosedPeriodDecision(source, orderId, decision, details = {}) {
+  const { action, ...rest } = decision;
+  const event = {
+    action: 'closed-period',
+    decision: action,
+    ...rest,
+    ...details
+  };
+
+  await appendSyncHistory({ source, orderId: String(orderId) }, event);
+
+  try {
+    await kv.lpush(CLOSED_PERIOD_INDEX_KEY, { at: new Date().toISOString(), source, orderId: String(orderId), ...event });
+    await kv.ltrim(CLOSED_PERIOD_INDEX_KEY, 0, MAX_CLOSED_PERIOD_ENTRIES - 1);
+  } catch (error) {
+    console.error(`⚠️  Failed to index closed-period decision for ${source} #${orderId}:`, error.message);
+  }
+}
+
+/**
+ * List recent closed-period decisions across all orders
+ *
+ * @param {Object} options - { source, decision ('redated' | 'held' | ...), limit }
+ * @returns {Array} Decision events (newest first), each with source and orderId
+ */
+export async function listClosedPeriodDecisions({ source = null, decision = null, limit = 50 } = {}) {
+  try {
+    const events = (await kv.lrange(CLOSED_PERIOD_INDEX_KEY, 0, MAX_CLOSED_PERIOD_ENTRIES - 1)) || [];
+    return events
+      .filter(event => (!source || event.source === source) && (!decision || event.decision === decision))
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Failed to list closed-period decisions:', error);
+    return [];
+  }
+}
+
+/**
+ * Get an order's change history
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string|number} orderId - Source order ID
+ * @param {number} limit - Max number of events
+ * @returns {Array} History events (newest first)
+ */
+export async function getSyncHistory(source, orderId, limit = MAX_HISTORY_ENTRIES) {
+  try {
+    return (await kv.lrange(`${HISTORY_PREFIX}${source}:${orderId}`, 0, limit - 1)) || [];
+  } catch (error) {
+    console.error(`Failed to get sync history for ${source} #${orderId}:`, error);
+    return [];
+  }
+}
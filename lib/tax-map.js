@@ -0,0 +1,149 @@
+/**
+ * Sales Tax Mapping Configuration
+ *
+ * Maps WooCommerce tax rate IDs to QuickBooks TaxCodes / TaxRates and builds
+ * the TxnTaxDetail block so QB totals match what the customer paid.
+ *
+ * @version 1.0.2
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.2:
+ * - Added getUnmappedTaxRates() so validation holds orders taxed at an unmapped rate
+ *
+ * CHANGELOG v1.0.1:
+ * - An order taxed at rates mapped to different QB tax codes is refused
+ *   (getTaxCodeConflict(); validation holds it for review)
+ *
+ * QB_TAX_RATE_MAP (JSON env var), keyed by WooCommerce tax rate ID:
+ *   {"1": {"taxCodeId": "3", "taxRateId": "5"}, "2": {"taxCodeId": "3", "taxRateId": "6"}}
+ *
+ * A QB document carries one TxnTaxCodeRef, so every rate an order is taxed at
+ * must map to the same taxCodeId (a combined code holding each rate).
+ *
+ * Line-level tax codes (US companies): QB_TAX_CODE_TAXABLE (default 'TAX')
+ * and QB_TAX_CODE_NON_TAXABLE (default 'NON').
+ */
+
+/**
+ * Parse QB_TAX_RATE_MAP
+ */
+function getTaxRateMap() {
+  const raw = process.env.QB_TAX_RATE_MAP;
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`⚠️  QB_TAX_RATE_MAP is not valid JSON - ignoring: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Map a WooCommerce tax rate to QuickBooks
+ * @param {string|number} rateId - WooCommerce tax rate ID
+ * @returns {Object} { taxCodeId, taxRateId, matched }
+ */
+export function mapTaxRateToQuickBooks(rateId) {
+  const mapping = getTaxRateMap()[String(rateId)];
+
+  if (!mapping || !mapping.taxCodeId) {
+    return { taxCodeId: null, taxRateId: null, matched: false };
+  }
+
+  return {
+    taxCodeId: String(mapping.taxCodeId),
+    taxRateId: mapping.taxRateId ? String(mapping.taxRateId) : null,
+    matched: true
+  };
+}
+
+/**
+ * Line-level tax code reference
+ * @param {boolean} taxable - Whether the line was taxed in WooCommerce
+ * @returns {Object} QB TaxCodeRef
+ */
+export function getLineTaxCodeRef(taxable) {
+  return {
+    value: taxable
+      ? (process.env.QB_TAX_CODE_TAXABLE || 'TAX')
+      : (process.env.QB_TAX_CODE_NON_TAXABLE || 'NON')
+  };
+}
+
+/**
+ * Describe the taxed rates on an order that have no QuickBooks mapping
+ * @param {Object} order - Parsed order (parseWooCommerceOrder)
+ * @returns {string|null} e.g. "1 (CA), 2 (CITY)", or null if every taxed rate is mapped
+ */
+export function getUnmappedTaxRates(order) {
+  if (!order.tax || !(order.tax.total > 0)) return null;
+
+  const unmapped = order.tax.lines.filter(line => line.amount > 0 && !line.qbTaxCodeId);
+  if (unmapped.length === 0) return null;
+
+  return unmapped.map(line => `${line.rateId} (${line.label || line.code})`).join(', ');
+}
+
+/**
+ * Describe the tax codes an order's rates map to, when there is more than one
+ * @param {Object} order - Parsed order (parseWooCommerceOrder)
+ * @returns {string|null} e.g. "1 (CA) → 3, 2 (CITY) → 4", or null if the order has one code (or none)
+ */
+export function getTaxCodeConflict(order) {
+  const taxLines = (order.tax?.lines || []).filter(line => line.amount > 0 && line.qbTaxCodeId);
+  const codes = new Set(taxLines.map(line => line.qbTaxCodeId));
+
+  if (codes.size <= 1) return null;
+
+  return taxLines.map(line => `${line.rateId} (${line.label || line.code}) → ${line.qbTaxCodeId}`).join(', ');
+}
+
+/**
+ * Build QB TxnTaxDetail from a parsed order's tax data
+ *
+ * TotalTax is set explicitly to the WooCommerce amount so QB doesn't
+ * recalculate (and round) differently from the store.
+ *
+ * @param {Object} order - Parsed order (parseWooCommerceOrder)
+ * @returns {Object|null} TxnTaxDetail, or null if the order has no tax
+ * @throws {Error} If a taxed rate has no QuickBooks mapping, or the rates map to different tax codes
+ */
+export function buildTxnTaxDetail(order) {
+  if (!order.tax || !(order.tax.total > 0)) {
+    return null;
+  }
+
+  const taxLines = order.tax.lines.filter(line => line.amount > 0);
+  const unmapped = getUnmappedTaxRates(order);
+
+  if (unmapped) {
+    throw new Error(`No QuickBooks tax mapping for WooCommerce tax rate(s): ${unmapped} - add them to QB_TAX_RATE_MAP`);
+  }
+
+  const conflict = getTaxCodeConflict(order);
+  if (conflict) {
+    throw new Error(`WooCommerce tax rates map to different QuickBooks tax codes: ${conflict} - map them to one combined code`);
+  }
+
+  const detail = {
+    TxnTaxCodeRef: { value: taxLines[0].qbTaxCodeId },
+    TotalTax: order.tax.total
+  };
+
+  // Per-rate breakdown (only possible when every rate maps to a QB TaxRate)
+  if (taxLines.every(line => line.qbTaxRateId)) {
+    detail.TaxLine = taxLines.map(line => ({
+      Amount: line.amount,
+      DetailType: 'TaxLineDetail',
+      TaxLineDetail: {
+        TaxRateRef: { value: line.qbTaxRateId },
+        PercentBased: true,
+        TaxPercent: line.ratePercent,
+        NetAmountTaxable: line.netAmountTaxable
+      }
+    }));
+  }
+
+  return detail;
+}
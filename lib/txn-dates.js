@@ -0,0 +1,94 @@
+/**
+ * QuickBooks Transaction Dates + Invoice Terms
+ *
+ * @version 1.1.0
+ * @description Dates QB documents by when the sale happened, not when the
+ *              webhook (or a retry / backfill) ran
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.1.0:
+ * - Added getStripeTxnDate() so Stripe fee Purchases are dated in QB_TIMEZONE
+ *
+ * WooCommerce: TxnDate = date_paid, else date_completed, else date_created.
+ * These are in the store's time zone already, so the date part is used as-is.
+ *
+ * YCBM: TxnDate = the Stripe payment time, else the booking time, converted
+ * to a date in QB_TIMEZONE (else the booking's time zone, else UTC).
+ *
+ * Stripe fees: TxnDate = the balance transaction time, in QB_TIMEZONE (else UTC).
+ *
+ * Invoices: DueDate = TxnDate + QB_INVOICE_TERMS_DAYS (default 30). Set
+ * QB_INVOICE_TERM_ID to also send the matching QB SalesTermRef.
+ */
+
+const DEFAULT_TERMS_DAYS = 30;
+
+/**
+ * TxnDate for a parsed WooCommerce order
+ *
+ * @param {Object} order - Parsed order (parseWooCommerceOrder)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getOrderTxnDate(order) {
+  const date = order.datePaid || order.dateCompleted || order.dateCreated;
+  return date ? String(date).split('T')[0] : toDateInTimeZone(new Date());
+}
+
+/**
+ * TxnDate for a YCBM booking
+ *
+ * @param {Object} booking - Parsed booking (parseYCBMPayload)
+ * @param {Object} stripePayment - From findPaymentByEmail() (optional)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getBookingTxnDate(booking, stripePayment = null) {
+  const timeZone = process.env.QB_TIMEZONE || booking.timeZone || 'UTC';
+
+  if (stripePayment?.created) {
+    return toDateInTimeZone(new Date(stripePayment.created * 1000), timeZone);
+  }
+
+  const bookedAt = booking.bookedAt ? new Date(booking.bookedAt) : null;
+  if (bookedAt && !Number.isNaN(bookedAt.getTime())) {
+    return toDateInTimeZone(bookedAt, timeZone);
+  }
+
+  return toDateInTimeZone(new Date(), timeZone);
+}
+
+/**
+ * TxnDate for a Stripe timestamp (e.g. a balance transaction's created)
+ *
+ * @param {number} created - Unix seconds
+ * @returns {string} YYYY-MM-DD in QB_TIMEZONE
+ */
+export function getStripeTxnDate(created) {
+  return toDateInTimeZone(new Date(created * 1000));
+}
+
+/**
+ * DueDate and (optional) SalesTermRef for an invoice dated txnDate
+ *
+ * @param {string} txnDate - YYYY-MM-DD
+ * @returns {Object} { DueDate, SalesTermRef? } - spread into the invoice body
+ */
+export function getInvoiceTerms(txnDate) {
+  const days = parseInt(process.env.QB_INVOICE_TERMS_DAYS, 10);
+  const dueDate = new Date(`${txnDate}T00:00:00Z`);
+  dueDate.setUTCDate(dueDate.getUTCDate() + (Number.isNaN(days) ? DEFAULT_TERMS_DAYS : days));
+
+  return {
+    DueDate: dueDate.toISOString().split('T')[0],
+    ...(process.env.QB_INVOICE_TERM_ID && { SalesTermRef: { value: String(process.env.QB_INVOICE_TERM_ID) } })
+  };
+}
+
+function toDateInTimeZone(date, timeZone = process.env.QB_TIMEZONE || 'UTC') {
+  try {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+  } catch (error) {
+    console.warn(`   ⚠ Unknown time zone "${timeZone}" - using UTC dates`);
+    return date.toISOString().split('T')[0];
+  }
+}
@@ -3,7 +3,14 @@
  * 
  * Validates webhook signatures to ensure requests are from WooCommerce.
  * 
- * @version 1.0.0
+ * @version 1.1.0
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.1.0:
+ * - validateWooCommerceWebhook accepts a list of secrets (rotation without downtime)
+ * - Added getActiveWebhookSecrets() reading WOO_WEBHOOK_SECRETS / WOO_WEBHOOK_SECRET
+ * - Added readRawBody() so signatures are checked against the exact bytes WooCommerce signed
+ * - Added signWooCommercePayload() for replaying stored webhooks
  */
 
 import crypto from 'crypto';
@@ -14,32 +21,93 @@ import crypto from 'crypto';
  * WooCommerce signs webhooks with HMAC-SHA256 using the webhook secret.
  * The signature is sent in the X-WC-Webhook-Signature header.
  * 
- * @param {string} payload - Raw request body (JSON string)
+ * During rotation several secrets can be active at once - the signature is
+ * accepted if it matches any of them.
+ * 
+ * @param {string|Buffer} payload - Raw request body, exactly as received
  * @param {string} signature - Signature from X-WC-Webhook-Signature header
- * @param {string} secret - Webhook secret from WooCommerce settings
+ * @param {string|string[]} secrets - Webhook secret(s) from WooCommerce settings
  * @returns {boolean} True if signature is valid
  */
-export function validateWooCommerceWebhook(payload, signature, secret) {
-  if (!signature || !secret) {
+export function validateWooCommerceWebhook(payload, signature, secrets) {
+  const secretList = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+
+  if (!signature || secretList.length === 0) {
     return false;
   }
 
-  // WooCommerce uses base64-encoded HMAC-SHA256
-  const expectedSignature = crypto
+  return secretList.some(secret => {
+    const expectedSignature = signWooCommercePayload(payload, secret);
+
+    // Use timing-safe comparison to prevent timing attacks
+    try {
+      return crypto.timingSafeEqual(
+        Buffer.from(signature),
+        Buffer.from(expectedSignature)
+      );
+    } catch (e) {
+      // Buffers of different lengths will throw
+      return false;
+    }
+  });
+}
+
+/**
+ * Sign a payload the same way WooCommerce does
+ * WooCommerce uses base64-encoded HMAC-SHA256
+ * 
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Base64 signature
+ */
+export function signWooCommercePayload(payload, secret) {
+  return crypto
     .createHmac('sha256', secret)
-    .update(payload, 'utf8')
+    .update(payload)
     .digest('base64');
+}
 
-  // Use timing-safe comparison to prevent timing attacks
-  try {
-    return crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(expectedSignature)
-    );
-  } catch (e) {
-    // Buffers of different lengths will throw
-    return false;
+/**
+ * Get the currently active webhook secrets
+ * 
+ * WOO_WEBHOOK_SECRETS is a comma-separated list (newest first). To rotate:
+ *   1. Add the new secret to the front of the list and redeploy
+ *   2. Change the secret in WooCommerce
+ *   3. Remove the old secret from the list
+ * WOO_WEBHOOK_SECRET is still honored for single-secret setups.
+ * 
+ * @returns {string[]} Active secrets (first one is used to sign replays)
+ */
+export function getActiveWebhookSecrets() {
+  const secrets = (process.env.WOO_WEBHOOK_SECRETS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  if (process.env.WOO_WEBHOOK_SECRET && !secrets.includes(process.env.WOO_WEBHOOK_SECRET)) {
+    secrets.push(process.env.WOO_WEBHOOK_SECRET);
+  }
+
+  return secrets;
+}
+
+/**
+ * Read the raw request body
+ * Requires the route to disable Vercel's body parser (config.api.bodyParser = false)
+ * 
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Raw body bytes
+ */
+export async function readRawBody(req) {
+  // Body parser still enabled (e.g. local tooling) - best effort
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === 'string') return Buffer.from(req.body, 'utf8');
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk);
   }
+  return Buffer.concat(chunks);
 }
 
 /**
@@ -0,0 +1,89 @@
+/**
+ * Rejected Webhook Audit Log
+ *
+ * @version 1.0.0
+ * @description Logs rejected webhook deliveries (bad/missing signatures) to Vercel KV.
+ *              Kept separate from failed webhooks - these are never retried.
+ */
+
+import { kv } from '@vercel/kv';
+
+const REJECTED_WEBHOOK_PREFIX = 'rejected_webhook:';
+const REJECTED_WEBHOOK_INDEX = 'rejected_webhook_ids';
+const MAX_STORED_REJECTIONS = 200;
+const BODY_PREVIEW_LENGTH = 1000; // Enough to identify the order without storing the full payload
+
+/**
+ * Log a rejected webhook delivery
+ *
+ * @param {string} source - 'woocommerce' or 'ycbm'
+ * @param {string} reason - Why the delivery was rejected
+ * @param {Object} req - Incoming request (headers are recorded)
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string|null} Audit entry ID or null if logging failed
+ */
+export async function logRejectedWebhook(source, reason, req, rawBody) {
+  try {
+    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const headers = req.headers || {};
+    const body = rawBody ? rawBody.toString('utf8') : '';
+
+    const rejected = {
+      id,
+      source,
+      timestamp: new Date().toISOString(),
+      reason,
+      ip: headers['x-forwarded-for'] || headers['x-real-ip'] || null,
+      userAgent: headers['user-agent'] || null,
+      webhook: {
+        source: headers['x-wc-webhook-source'] || null,
+        topic: headers['x-wc-webhook-topic'] || null,
+        deliveryId: headers['x-wc-webhook-delivery-id'] || null,
+        webhookId: headers['x-wc-webhook-id'] || null,
+        hasSignature: !!headers['x-wc-webhook-signature']
+      },
+      retry: headers['x-retry-webhook'] || null,
+      bodyLength: body.length,
+      bodyPreview: body.substring(0, BODY_PREVIEW_LENGTH)
+    };
+
+    // Store with 30-day expiry (2592000 seconds)
+    await kv.set(`${REJECTED_WEBHOOK_PREFIX}${id}`, rejected, { ex: 2592000 });
+    await kv.lpush(REJECTED_WEBHOOK_INDEX, id);
+    await kv.ltrim(REJECTED_WEBHOOK_INDEX, 0, MAX_STORED_REJECTIONS - 1);
+
+    console.log(`🛡️  Rejected webhook logged: ${id} (${reason})`);
+
+    return id;
+  } catch (kvError) {
+    console.error('⚠️  Failed to log rejected webhook to KV:', kvError.message);
+    console.error('   Reason:', reason);
+    return null;
+  }
+}
+
+/**
+ * Get recent rejected webhooks
+ *
+ * @param {number} limit - Max number to retrieve
+ * @returns {Array} List of rejected webhooks (newest first)
+ */
+export async function getRejectedWebhooks(limit = 50) {
+  try {
+    const ids = await kv.lrange(REJECTED_WEBHOOK_INDEX, 0, limit - 1);
+
+    if (!ids || ids.length === 0) {
+      return [];
+    }
+
+    const entries = await Promise.all(
+      ids.map(id => kv.get(`${REJECTED_WEBHOOK_PREFIX}${id}`))
+    );
+
+    // Filter out any nulls (expired entries)
+    return entries.filter(e => e !== null);
+  } catch (error) {
+    console.error('Failed to get rejected webhooks:', error);
+    return [];
+  }
+}
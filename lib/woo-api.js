@@ -0,0 +1,156 @@
+/**
+ * WooCommerce REST API Client
+ *
+ * @version 1.2.0
+ * @description Minimal WooCommerce REST (wc/v3) client using the same
+ *              consumer key/secret as /api/woo-order-lookup
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.2.0:
+ * - Added getWooRefund() (refunded line items, for pricing paylater refunds)
+ *
+ * CHANGELOG v1.1.0:
+ * - Added listWooOrders() (date range backfill)
+ *
+ * Environment Variables:
+ *   - WOO_API_URL: https://basleracademy.com
+ *   - WOO_CONSUMER_KEY: ck_xxxxxxxx
+ *   - WOO_CONSUMER_SECRET: cs_xxxxxxxx
+ */
+
+const MAX_PAGES = 50; // 5,000 records at per_page=100 - well past our catalog size
+
+/**
+ * Check which WooCommerce API settings are present
+ * @returns {Object} { configured, missing[] }
+ */
+export function getWooConfigStatus() {
+  const missing = ['WOO_API_URL', 'WOO_CONSUMER_KEY', 'WOO_CONSUMER_SECRET']
+    .filter(name => !process.env[name]);
+
+  return { configured: missing.length === 0, missing };
+}
+
+/**
+ * Make an authenticated WooCommerce REST request
+ *
+ * @param {string} path - Path under /wp-json/wc/v3 (e.g. "/orders/780")
+ * @param {Object} options - { method, query, body }
+ * @returns {Object} { data, headers }
+ * @throws {Error} With .status set when WooCommerce returns an error
+ */
+export async function wooRequest(path, { method = 'GET', query = {}, body = null } = {}) {
+  const { configured, missing } = getWooConfigStatus();
+  if (!configured) {
+    throw new Error(`Missing WooCommerce API configuration: ${missing.join(', ')}`);
+  }
+
+  const url = new URL(`${process.env.WOO_API_URL.replace(/\/$/, '')}/wp-json/wc/v3${path}`);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) url.searchParams.set(name, String(value));
+  }
+
+  // WooCommerce uses Basic Auth with consumer key/secret
+  const auth = Buffer.from(`${process.env.WOO_CONSUMER_KEY}:${process.env.WOO_CONSUMER_SECRET}`).toString('base64');
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`WooCommerce API error ${response.status} (${method} ${path}): ${errorText.substring(0, 300)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return { data: await response.json(), headers: response.headers };
+}
+
+/**
+ * Fetch every page of a list endpoint
+ *
+ * @param {string} path - List path (e.g. "/products")
+ * @param {Object} query - Filters (per_page / page are managed here)
+ * @returns {Array} All records
+ */
+export async function wooListAll(path, query = {}) {
+  const records = [];
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const { data, headers } = await wooRequest(path, { query: { per_page: 100, ...query, page } });
+    records.push(...data);
+
+    const totalPages = parseInt(headers.get('x-wp-totalpages'), 10) || 1;
+    if (page >= totalPages || data.length === 0) break;
+  }
+
+  return records;
+}
+
+/**
+ * Get a WooCommerce order (same payload shape the webhook sends)
+ *
+ * @param {string|number} orderId - WooCommerce order ID
+ * @returns {Object} Order
+ */
+export async function getWooOrder(orderId) {
+  const { data } = await wooRequest(`/orders/${orderId}`);
+  return data;
+}
+
+/**
+ * Get a single order refund (with its refunded line_items)
+ *
+ * @param {string|number} orderId - WooCommerce order ID
+ * @param {string|number} refundId - WooCommerce refund ID
+ * @returns {Object} Refund
+ */
+export async function getWooRefund(orderId, refundId) {
+  const { data } = await wooRequest(`/orders/${orderId}/refunds/${refundId}`);
+  return data;
+}
+
+/**
+ * List orders created in a date range (oldest first)
+ *
+ * @param {Object} options
+ * @param {string} options.after - ISO date/time, inclusive lower bound on date_created
+ * @param {string} options.before - ISO date/time, upper bound on date_created (optional)
+ * @param {string} options.status - Order status, comma-separated list or 'any' (default 'completed')
+ * @returns {Array} Orders (same payload shape the webhook sends)
+ */
+export async function listWooOrders({ after, before = null, status = 'completed' }) {
+  return wooListAll('/orders', {
+    after,
+    before,
+    status,
+    orderby: 'date',
+    order: 'asc'
+  });
+}
+
+/**
+ * List the WooCommerce product catalog
+ *
+ * @param {Object} options - { includeVariations, status }
+ * @returns {Array} Products; variable products get a variations[] array when requested
+ */
+export async function listWooProducts({ includeVariations = false, status = 'publish' } = {}) {
+  const products = await wooListAll('/products', { status });
+
+  if (includeVariations) {
+    for (const product of products) {
+      if (product.type === 'variable') {
+        product.variations = await wooListAll(`/products/${product.id}/variations`);
+      }
+    }
+  }
+
+  return products;
+}
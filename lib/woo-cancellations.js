@@ -0,0 +1,100 @@
+/**
+ * WooCommerce Cancellation → QuickBooks
+ *
+ * @version 1.0.1
+ * @description Voids the QB document created for an order once it is
+ *              cancelled, failed, or trashed in WooCommerce
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Documents dated in a closed QB period are not voided: voidOrderDocument()
+ *   throws an error carrying .closedPeriod (see lib/quickbooks.js)
+ *
+ * Documents are voided rather than deleted so the audit trail stays in QB.
+ * If the voided invoice had already been emailed, the customer gets a notice.
+ */
+
+import {
+  getSalesReceipt,
+  getInvoice,
+  voidInvoice,
+  voidSalesReceipt
+} from './quickbooks.js';
+import { recordVoid } from './sync-ledger.js';
+import { sendInvoiceVoidNotice } from './email-report.js';
+
+// WooCommerce statuses that mean the sale did not happen
+export const VOID_STATUSES = ['cancelled', 'failed', 'trash'];
+
+/**
+ * Void the QB document recorded for an order
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} entry - Sync ledger entry for the order
+ * @param {string} reason - WooCommerce status that triggered the void
+ * @param {Object} order - { orderNumber, customerName } for the customer notice
+ * @returns {Object} { document, voided, noticeSent, warnings }
+ */
+export async function voidOrderDocument(qb, entry, reason, order = {}) {
+  const { document } = entry;
+  const warnings = [];
+
+  console.log(`\n🚫 VOIDING ${document.type} ${document.id} (order ${reason})...`);
+
+  if (Object.keys(entry.refunds || {}).length > 0) {
+    // Refund documents stay as-is - voiding them too would double-reverse the sale
+    warnings.push('Order has posted refunds - review refund documents in QuickBooks');
+    console.warn(`   ⚠ Order #${entry.orderId} has refund documents - leaving them in place`);
+  }
+
+  let noticeSent = false;
+
+  if (document.type === 'Invoice') {
+    const invoice = await getInvoice(qb, document.id);
+    const wasSent = invoice.EmailStatus === 'EmailSent';
+
+    if (parseFloat(invoice.Balance) < parseFloat(invoice.TotalAmt)) {
+      warnings.push('Invoice had payments or credits applied - they are now unapplied');
+      console.warn(`   ⚠ Invoice ${invoice.Id} had payments applied ($${invoice.TotalAmt - invoice.Balance})`);
+    }
+
+    await voidInvoice(qb, invoice);
+    console.log(`   ✓ Invoice ${invoice.DocNumber || invoice.Id} voided`);
+
+    if (wasSent && invoice.BillEmail?.Address) {
+      const notice = await sendInvoiceVoidNotice({
+        to: invoice.BillEmail.Address,
+        customerName: order.customerName || invoice.CustomerRef?.name,
+        invoiceNumber: invoice.DocNumber || invoice.Id,
+        amount: invoice.TotalAmt,
+        orderNumber: order.orderNumber || entry.orderId,
+        reason
+      }).catch(error => ({ success: false, error: error.message }));
+
+      noticeSent = notice.success;
+      if (!noticeSent) {
+        warnings.push(`Void notice email failed: ${notice.error}`);
+      }
+    }
+  } else {
+    const receipt = await getSalesReceipt(qb, document.id);
+    await voidSalesReceipt(qb, receipt);
+    console.log(`   ✓ Sales Receipt ${receipt.DocNumber || receipt.Id} voided`);
+
+    if (reason !== 'failed') {
+      // A receipt means money was taken - voiding it doesn't give it back
+      warnings.push('Sales Receipt voided - confirm the payment was refunded in Stripe');
+    }
+  }
+
+  const voided = {
+    status: reason,
+    voidedAt: new Date().toISOString(),
+    noticeSent,
+    warnings
+  };
+
+  await recordVoid(entry, voided);
+
+  return { document, voided: true, noticeSent, warnings };
+}
@@ -0,0 +1,198 @@
+/**
+ * WooCommerce → QuickBooks Document Builders
+ * 
+ * Builds Invoice and Sales Receipt request bodies from a parsed WooCommerce order.
+ * Shared by the sync webhook and the order update flow.
+ * 
+ * @version 1.6.0
+ * @lastUpdated 2026-10-19
+ * 
+ * CHANGELOG v1.6.0:
+ * - TxnDate from the order's paid / completed date; invoice DueDate = TxnDate + configured terms
+ * 
+ * CHANGELOG v1.5.0:
+ * - Sales Receipt PaymentMethodRef / DepositToAccountRef come from payment routing
+ * 
+ * CHANGELOG v1.4.0:
+ * - Removed the QB_ITEM_BST fallback for unmapped products (orders are held for review instead)
+ * 
+ * CHANGELOG v1.3.0:
+ * - Fee and shipping lines are posted on both Invoices and Sales Receipts
+ * 
+ * CHANGELOG v1.2.0:
+ * - Sales tax: lines carry TaxCodeRef and documents get TxnTaxDetail when the order was taxed
+ * - Sales Receipts warn when the QB total won't match the WooCommerce total
+ * 
+ * CHANGELOG v1.1.0:
+ * - Sales Receipts get one discount line per coupon, each with its mapped QB discount item
+ * 
+ * CHANGELOG v1.0.0:
+ * - Moved buildInvoiceData / buildSalesReceiptData out of api/woo-qb-sync.js
+ */
+
+import { buildTxnTaxDetail, getLineTaxCodeRef } from './tax-map.js';
+import { getOrderTxnDate, getInvoiceTerms } from './txn-dates.js';
+
+/**
+ * Build QuickBooks Invoice data structure
+ * Used for paylater orders (NET 30 terms unless QB_INVOICE_TERMS_DAYS says otherwise)
+ * NOTE: Paylater invoices show FULL price, no discount
+ */
+export function buildInvoiceData(qbCustomer, order) {
+  const txnDate = getOrderTxnDate(order);
+  const txnTaxDetail = buildTxnTaxDetail(order);
+  
+  const invoice = {
+    CustomerRef: { value: String(qbCustomer.Id) },
+    BillEmail: { Address: order.customer.email },
+    TxnDate: txnDate,
+    ...getInvoiceTerms(txnDate),
+    PrivateNote: `WooCommerce Order #${order.orderId}`,
+    Line: [
+      ...buildProductLines(order, !!txnTaxDetail),
+      ...buildChargeLines(order, !!txnTaxDetail)
+    ]
+  };
+  
+  if (txnTaxDetail) {
+    invoice.TxnTaxDetail = txnTaxDetail;
+  }
+  
+  return invoice;
+}
+
+/**
+ * Build QuickBooks Sales Receipt data structure
+ * Used for paid orders (Stripe payment completed)
+ * 
+ * If discount coupons were used:
+ * - Line items show ORIGINAL prices (before discount)
+ * - One discount line per coupon shows its amount as negative
+ * - Total = Original prices - Discount = What Stripe charged
+ * 
+ * @param {Object} qbCustomer - QB Customer
+ * @param {Object} order - Parsed order
+ * @param {Object} payment - From resolvePaymentRouting() (omit to keep the document's existing refs)
+ */
+export function buildSalesReceiptData(qbCustomer, order, payment = null) {
+  const txnTaxDetail = buildTxnTaxDetail(order);
+  
+  // Build product line items (always at original prices)
+  const productLines = buildProductLines(order, !!txnTaxDetail);
+  
+  // Fees and shipping, as charged
+  const chargeLines = buildChargeLines(order, !!txnTaxDetail);
+  
+  // Discounts reduce the taxable amount when any product was taxed
+  const discountTaxable = order.lineItems.some(item => item.taxable);
+
+  // Add one discount line per coupon
+  const discountLines = [];
+  for (const coupon of order.discount.lines || []) {
+    if (!(coupon.amount > 0)) continue;
+    
+    if (!coupon.qbItemId) {
+      console.warn(`   ⚠ No QB discount item for coupon ${coupon.code} - discount will not be shown as separate line`);
+      console.warn('   → Set QB_ITEM_DISCOUNT (or a category / QB_COUPON_ITEM_MAP entry) to your QuickBooks discount item ID');
+      continue;
+    }
+    
+    discountLines.push({
+      Amount: -Math.abs(coupon.amount), // Negative amount
+      DetailType: 'SalesItemLineDetail',
+      SalesItemLineDetail: {
+        ItemRef: { value: String(coupon.qbItemId) },
+        Qty: 1,
+        UnitPrice: -Math.abs(coupon.amount), // Negative unit price
+        ...(txnTaxDetail && { TaxCodeRef: getLineTaxCodeRef(discountTaxable) })
+      },
+      Description: `Discount (${coupon.code.toUpperCase()})`
+    });
+  }
+
+  // Combine lines
+  const allLines = [...productLines, ...chargeLines, ...discountLines];
+  
+  // QB total should equal what the customer paid, to the cent
+  const lineTotal = allLines.reduce((sum, line) => sum + line.Amount, 0);
+  const qbTotal = Math.round((lineTotal + (txnTaxDetail?.TotalTax || 0)) * 100) / 100;
+  if (Math.abs(qbTotal - order.total) >= 0.01) {
+    console.warn(`   ⚠ QB total $${qbTotal} does not match WooCommerce total $${order.total}`);
+  }
+
+  const receipt = {
+    CustomerRef: { value: String(qbCustomer.Id) },
+    BillEmail: { Address: order.customer.email },
+    TxnDate: getOrderTxnDate(order),
+    PrivateNote: `WooCommerce Order #${order.orderId}`,
+    Line: allLines
+  };
+  
+  if (payment) {
+    receipt.PaymentMethodRef = payment.paymentMethodRef;
+    receipt.DepositToAccountRef = payment.depositToAccountRef;
+  }
+  
+  if (txnTaxDetail) {
+    receipt.TxnTaxDetail = txnTaxDetail;
+  }
+  
+  return receipt;
+}
+
+/**
+ * Build product lines (one per WooCommerce line item)
+ * @param {Object} order - Parsed order
+ * @param {boolean} hasTax - Add line-level TaxCodeRef (only when the order was taxed)
+ */
+function buildProductLines(order, hasTax) {
+  return order.lineItems.map(item => {
+    if (!item.qbItemId) {
+      throw new Error(`No QuickBooks item for product "${item.name}" - register it via /api/products`);
+    }
+
+    return {
+      Amount: parseFloat(item.total),
+      DetailType: 'SalesItemLineDetail',
+      SalesItemLineDetail: {
+        ItemRef: { value: String(item.qbItemId) },
+        Qty: item.quantity,
+        UnitPrice: parseFloat(item.unitPrice),
+        ...(hasTax && { TaxCodeRef: getLineTaxCodeRef(item.taxable) })
+      },
+      Description: item.name
+    };
+  });
+}
+
+/**
+ * Build fee and shipping lines (WooCommerce fee_lines / shipping_lines)
+ * Unlike products there is no fallback item - an unmapped charge would
+ * silently change the document total, so it fails the sync instead.
+ * @param {Object} order - Parsed order
+ * @param {boolean} hasTax - Add line-level TaxCodeRef (only when the order was taxed)
+ */
+function buildChargeLines(order, hasTax) {
+  const charges = [
+    ...(order.feeLines || []).map(fee => ({ ...fee, kind: 'Fee', envVar: 'QB_ITEM_FEE' })),
+    ...(order.shippingLines || []).map(shipping => ({ ...shipping, kind: 'Shipping', envVar: 'QB_ITEM_SHIPPING' }))
+  ];
+
+  return charges.map(charge => {
+    if (!charge.qbItemId) {
+      throw new Error(`No QuickBooks item for ${charge.kind.toLowerCase()} "${charge.name}" - set ${charge.envVar}`);
+    }
+
+    return {
+      Amount: charge.total,
+      DetailType: 'SalesItemLineDetail',
+      SalesItemLineDetail: {
+        ItemRef: { value: String(charge.qbItemId) },
+        Qty: 1,
+        UnitPrice: charge.total,
+        ...(hasTax && { TaxCodeRef: getLineTaxCodeRef(charge.taxable) })
+      },
+      Description: charge.kind === 'Shipping' ? `Shipping: ${charge.name}` : charge.name
+    };
+  });
+}
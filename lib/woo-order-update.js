@@ -0,0 +1,216 @@
+/**
+ * WooCommerce Order Edit → QuickBooks
+ *
+ * @version 1.4.3
+ * @description Diffs an edited WooCommerce order against what was posted and
+ *              sparse-updates the existing Sales Receipt or Invoice
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.4.3:
+ * - Snapshot tracks the billing address, so an address-only edit updates the customer
+ *
+ * CHANGELOG v1.4.2:
+ * - An edit that removes all tax clears the document's TxnTaxDetail
+ *
+ * CHANGELOG v1.4.1:
+ * - Edits to a document in a closed period are refused (never re-dated);
+ *   the webhook holds the order for review
+ *
+ * CHANGELOG v1.4.0:
+ * - Updates carry the document's TxnDate so the closed-period guard checks it;
+ *   a re-dated document gets a 'closed-period' history event
+ *
+ * CHANGELOG v1.3.0:
+ * - Any billing detail change re-resolves the customer so its QB profile is updated
+ *
+ * CHANGELOG v1.2.0:
+ * - Snapshot tracks fee and shipping lines
+ *
+ * CHANGELOG v1.1.0:
+ * - Snapshot tracks each coupon line (code, amount, QB discount item) and sales tax
+ *
+ * The ledger keeps a snapshot of each order as posted. On order.updated the
+ * newly parsed order is snapshotted the same way; if anything differs the QB
+ * document's lines (and customer/email if needed) are replaced in place and
+ * the change is appended to the order's sync history.
+ */
+
+import {
+  findOrCreateCustomer,
+  getInvoice,
+  getSalesReceipt,
+  updateInvoice,
+  updateSalesReceipt,
+  sendInvoice
+} from './quickbooks.js';
+import { buildInvoiceData, buildSalesReceiptData } from './woo-documents.js';
+import { saveSyncEntry, appendSyncHistory } from './sync-ledger.js';
+import { customerIdentity } from './customer-links.js';
+
+/**
+ * Reduce a parsed order to the fields that end up on the QB document
+ *
+ * @param {Object} order - Parsed order (parseWooCommerceOrder)
+ * @returns {Object} Snapshot suitable for storing and diffing
+ */
+export function snapshotOrder(order) {
+  return {
+    customer: {
+      email: order.customer.email,
+      name: `${order.customer.firstName} ${order.customer.lastName}`.trim(),
+      company: order.customer.company,
+      phone: order.customer.phone,
+      address: formatAddress(order.customer.address)
+    },
+    lines: order.lineItems.map(item => ({
+      name: item.name,
+      sku: item.sku,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      total: item.total,
+      qbItemId: item.qbItemId
+    })),
+    discount: order.discount.lines.map(line => ({
+      code: line.code,
+      amount: line.amount,
+      qbItemId: line.qbItemId
+    })),
+    charges: [...(order.feeLines || []), ...(order.shippingLines || [])].map(charge => ({
+      name: charge.name,
+      total: charge.total,
+      qbItemId: charge.qbItemId
+    })),
+    tax: order.tax.total,
+    total: order.total
+  };
+}
+
+/**
+ * Compare two order snapshots
+ *
+ * @param {Object} before - Snapshot stored when the order was posted
+ * @param {Object} after - Snapshot of the edited order
+ * @returns {Array} Changes: [{ field, from, to }]
+ */
+export function diffOrderSnapshots(before, after) {
+  const changes = [];
+
+  for (const field of ['email', 'name', 'company', 'phone', 'address']) {
+    // Snapshots stored before the address was tracked have none - not a change
+    if (field === 'address' && before.customer.address === undefined) continue;
+
+    if ((before.customer[field] || '') !== (after.customer[field] || '')) {
+      changes.push({ field: `customer.${field}`, from: before.customer[field], to: after.customer[field] });
+    }
+  }
+
+  if (JSON.stringify(before.lines) !== JSON.stringify(after.lines)) {
+    changes.push({ field: 'lines', from: describeLines(before.lines), to: describeLines(after.lines) });
+  }
+
+  if (JSON.stringify(before.discount) !== JSON.stringify(after.discount)) {
+    changes.push({ field: 'discount', from: before.discount, to: after.discount });
+  }
+
+  // Snapshots stored before fees/shipping were tracked have no charges
+  if (JSON.stringify(before.charges || []) !== JSON.stringify(after.charges || [])) {
+    changes.push({ field: 'charges', from: before.charges || [], to: after.charges || [] });
+  }
+
+  if ((before.tax || 0) !== (after.tax || 0)) {
+    changes.push({ field: 'tax', from: before.tax || 0, to: after.tax || 0 });
+  }
+
+  if (before.total !== after.total) {
+    changes.push({ field: 'total', from: before.total, to: after.total });
+  }
+
+  return changes;
+}
+
+/**
+ * Apply an edited order to its existing QB document
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} entry - Sync ledger entry (snapshot is replaced on success)
+ * @param {Object} order - Newly parsed order
+ * @param {Array} changes - From diffOrderSnapshots()
+ * @param {string} deliveryId - Delivery that carried the edit (optional)
+ * @returns {Object} { document, changes, invoiceResent }
+ */
+export async function updateOrderDocument(qb, entry, order, changes, deliveryId = null) {
+  const { document } = entry;
+  const isInvoice = document.type === 'Invoice';
+
+  console.log(`\n✏️  UPDATING ${document.type} ${document.id}...`);
+  changes.forEach(change => {
+    console.log(`   ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+  });
+
+  const current = isInvoice
+    ? await getInvoice(qb, document.id)
+    : await getSalesReceipt(qb, document.id);
+
+  // A new billing email may belong to a different QB customer; other billing
+  // changes are pushed to the customer profile (per the customer field policy)
+  const qbCustomer = changes.some(c => c.field.startsWith('customer.'))
+    ? await findOrCreateCustomer(qb, order.customer, customerIdentity('woocommerce', order.customer.customerId))
+    : { Id: current.CustomerRef.value };
+
+  const rebuilt = isInvoice
+    ? buildInvoiceData(qbCustomer, order)
+    : buildSalesReceiptData(qbCustomer, order);
+
+  const update = {
+    Id: String(current.Id),
+    SyncToken: String(current.SyncToken),
+    CustomerRef: rebuilt.CustomerRef,
+    BillEmail: rebuilt.BillEmail,
+    Line: rebuilt.Line,
+    // Not changed - sent so an edit to a document in a closed period is refused
+    TxnDate: current.TxnDate
+  };
+
+  if (rebuilt.TxnTaxDetail) {
+    update.TxnTaxDetail = rebuilt.TxnTaxDetail;
+  } else if (current.TxnTaxDetail?.TotalTax > 0) {
+    // Sparse updates keep fields they don't carry - clear the old tax explicitly
+    update.TxnTaxDetail = { TotalTax: 0, TaxLine: [] };
+  }
+
+  const updated = isInvoice
+    ? await updateInvoice(qb, update)
+    : await updateSalesReceipt(qb, update);
+
+  console.log(`   ✓ ${document.type} updated (Total: $${current.TotalAmt} → $${updated.TotalAmt})`);
+
+  // Customer already has the old amount in their inbox - send the corrected invoice
+  let invoiceResent = false;
+  if (isInvoice && current.EmailStatus === 'EmailSent' && updated.TotalAmt !== current.TotalAmt) {
+    invoiceResent = !!(await sendInvoice(qb, updated.Id, order.customer.email));
+  }
+
+  entry.document = { ...document, total: updated.TotalAmt };
+  entry.snapshot = snapshotOrder(order);
+  await saveSyncEntry(entry);
+  await appendSyncHistory(entry, {
+    action: 'updated',
+    document: entry.document,
+    previousTotal: current.TotalAmt,
+    changes,
+    invoiceResent,
+    deliveryId
+  });
+
+  return { document: entry.document, changes, invoiceResent };
+}
+
+function formatAddress(address = {}) {
+  return [address.line1, address.line2, address.city, address.state, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function describeLines(lines) {
+  return lines.map(line => `${line.name} x${line.quantity} @ $${line.unitPrice}`);
+}
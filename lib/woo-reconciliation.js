@@ -0,0 +1,217 @@
+/**
+ * WooCommerce ↔ QuickBooks Reconciliation
+ *
+ * @version 1.0.1
+ * @description Matches WooCommerce orders to the QB Sales Receipts / Invoices
+ *              whose PrivateNote references "WooCommerce Order #"
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.0.1:
+ * - Orders in other statuses (pending, checkout-draft, trash, ...) with no
+ *   live document are skipped before parsing
+ * - An order that fails to parse is reported as an invalid-order row instead
+ *   of failing the whole report
+ *
+ * Issues flagged:
+ *   missing-in-qb   - Completed / refunded order with no QB document
+ *   amount-mismatch - QB total differs from what the order should have posted
+ *   duplicate-in-qb - More than one QB document for the order
+ *   unexpected-document - Cancelled / failed order with a live (non-zero) QB document
+ *   orphan-document - QB document whose order doesn't exist in WooCommerce
+ *   invalid-order   - Order couldn't be parsed (e.g. no billing email)
+ *
+ * Expected amounts come from parseWooCommerceOrder(), so paylater invoices are
+ * compared at full price like they're posted. Refunds are separate QB
+ * documents and don't change the original's total.
+ */
+
+import { parseWooCommerceOrder } from './parse-order.js';
+import { findSalesReceipts, findInvoices } from './quickbooks.js';
+
+const ORDER_MEMO_PATTERN = /WooCommerce Order #(\d+)\b/;
+const EXPECTED_STATUSES = ['completed', 'refunded'];
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Fetch QB documents created for WooCommerce orders in a TxnDate window
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} range - { from, to } (YYYY-MM-DD, inclusive)
+ * @returns {Array} { type, id, docNumber, txnDate, total, orderId, privateNote }
+ */
+export async function fetchOrderDocuments(qb, { from, to }) {
+  const criteria = [
+    { field: 'TxnDate', value: from, operator: '>=' },
+    { field: 'TxnDate', value: to, operator: '<=' },
+    { field: 'fetchAll', value: true }
+  ];
+
+  const documents = [
+    ...(await findSalesReceipts(qb, criteria)).map(doc => ({ type: 'SalesReceipt', doc })),
+    ...(await findInvoices(qb, criteria)).map(doc => ({ type: 'Invoice', doc }))
+  ];
+
+  return documents
+    .map(({ type, doc }) => ({
+      type,
+      id: String(doc.Id),
+      docNumber: doc.DocNumber || null,
+      txnDate: doc.TxnDate,
+      total: doc.TotalAmt,
+      orderId: (doc.PrivateNote || '').match(ORDER_MEMO_PATTERN)?.[1] || null,
+      privateNote: doc.PrivateNote || ''
+    }))
+    .filter(document => document.orderId);
+}
+
+/**
+ * Reconcile orders against QB documents
+ *
+ * @param {Array} orders - WooCommerce orders (REST payloads)
+ * @param {Array} documents - From fetchOrderDocuments()
+ * @param {Object} range - { from, to } - documents dated outside it are only used for matching
+ * @returns {Object} { summary, rows[] } - one row per order, plus one per orphan document
+ */
+export function reconcileOrders(orders, documents, { from, to }) {
+  const documentsByOrder = new Map();
+  for (const document of documents) {
+    const list = documentsByOrder.get(document.orderId) || [];
+    list.push(document);
+    documentsByOrder.set(document.orderId, list);
+  }
+
+  const rows = [];
+  const orderIds = new Set();
+
+  for (const payload of orders) {
+    const orderId = String(payload.id);
+    orderIds.add(orderId);
+    rows.push(...reconcileOrder(payload, documentsByOrder.get(orderId) || []));
+  }
+
+  for (const document of documents) {
+    if (orderIds.has(document.orderId)) continue;
+    if (document.txnDate < from || document.txnDate > to) continue;
+
+    rows.push(buildRow(null, document, 'orphan-document', `No WooCommerce order #${document.orderId}`));
+  }
+
+  const count = issue => rows.filter(row => row.issue === issue).length;
+
+  return {
+    summary: {
+      orders: orders.length,
+      documents: new Set(rows.filter(row => row.qbId).map(row => `${row.qbType}:${row.qbId}`)).size,
+      matched: count(null),
+      missingInQb: count('missing-in-qb'),
+      amountMismatch: count('amount-mismatch'),
+      duplicateInQb: count('duplicate-in-qb'),
+      unexpectedDocument: count('unexpected-document'),
+      orphanDocument: count('orphan-document'),
+      invalidOrder: count('invalid-order')
+    },
+    rows
+  };
+}
+
+/**
+ * Render a reconciliation report as CSV (one line per row)
+ */
+export function reportToCsv(report) {
+  const header = [
+    'Issue', 'Detail', 'Order ID', 'Order Number', 'Order Date', 'Order Status', 'Customer',
+    'Expected Amount', 'QB Type', 'QB ID', 'QB Doc Number', 'QB Date', 'QB Amount', 'Difference'
+  ];
+
+  const lines = report.rows.map(row => [
+    row.issue || 'ok',
+    row.detail,
+    row.orderId,
+    row.orderNumber,
+    row.orderDate,
+    row.orderStatus,
+    row.customer,
+    row.expectedAmount,
+    row.qbType,
+    row.qbId,
+    row.qbDocNumber,
+    row.qbDate,
+    row.qbAmount,
+    row.difference
+  ]);
+
+  return [header, ...lines].map(row =>
+    row.map(cell => {
+      const str = String(cell ?? '');
+      // Escape quotes and wrap in quotes if contains comma or quote
+      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return `"${str.replace(/"/g, '""')}"`;
+      }
+      return str;
+    }).join(',')
+  ).join('\n');
+}
+
+function reconcileOrder(payload, documents) {
+  const expected = EXPECTED_STATUSES.includes(payload.status);
+  const live = documents.filter(document => document.total > 0);
+
+  // Pending, draft, trashed ... orders are only of interest if QB has them
+  if (!expected && live.length === 0) return [];
+
+  let order;
+  try {
+    order = parseWooCommerceOrder(payload);
+  } catch (error) {
+    return (documents.length > 0 ? documents : [null]).map(document =>
+      buildRow(null, document, 'invalid-order', `Order could not be parsed: ${error.message}`, payload));
+  }
+
+  if (!expected) {
+    return live.map(document => buildRow(order, document, 'unexpected-document',
+      `Order is "${payload.status}" but ${document.type} ${document.docNumber || document.id} was not voided`, payload));
+  }
+
+  if (documents.length === 0) {
+    return [buildRow(order, null, 'missing-in-qb', 'No QuickBooks document references this order', payload)];
+  }
+
+  // Voided copies (total 0) don't count as duplicates once a live document exists
+  const candidates = live.length > 0 ? live : documents;
+
+  return candidates.map((document, index) => {
+    if (index > 0) {
+      return buildRow(order, document, 'duplicate-in-qb', `${candidates.length} QuickBooks documents reference this order`, payload);
+    }
+    if (Math.abs(document.total - order.total) >= AMOUNT_TOLERANCE) {
+      return buildRow(order, document, 'amount-mismatch',
+        `QuickBooks $${document.total.toFixed(2)} vs order $${order.total.toFixed(2)}`, payload);
+    }
+    return buildRow(order, document, null, '', payload);
+  });
+}
+
+function buildRow(order, document, issue, detail, payload = null) {
+  const expectedAmount = order ? round(order.total) : null;
+
+  return {
+    issue,
+    detail,
+    orderId: order ? String(order.orderId) : (payload ? String(payload.id) : document.orderId),
+    orderNumber: order?.orderNumber ?? payload?.number ?? null,
+    orderDate: payload?.date_created ? payload.date_created.split('T')[0] : null,
+    orderStatus: payload?.status ?? null,
+    customer: order?.customer.displayName ?? null,
+    expectedAmount,
+    qbType: document?.type ?? null,
+    qbId: document?.id ?? null,
+    qbDocNumber: document?.docNumber ?? null,
+    qbDate: document?.txnDate ?? null,
+    qbAmount: document ? round(document.total) : null,
+    difference: document && expectedAmount !== null ? round(document.total - expectedAmount) : null
+  };
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
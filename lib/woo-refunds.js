@@ -0,0 +1,340 @@
+/**
+ * WooCommerce Refund → QuickBooks
+ *
+ * @version 1.3.0
+ * @description Posts WooCommerce refunds against the QB document created for the order
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.3.0:
+ * - Refund Receipts, Credit Memos and the Payment applying a Credit Memo get
+ *   the refund's source snapshot attached (lib/source-snapshot.js)
+ *
+ * CHANGELOG v1.2.0:
+ * - Paylater refunds are priced from the refunded line items at the invoice's
+ *   QB prices: the WooCommerce order is $0 (100% coupon), so refund.total
+ *   alone never reaches the Credit Memo
+ * - A refund with nothing to credit is recorded as skipped, so it doesn't
+ *   stay pending on every later delivery
+ *
+ * CHANGELOG v1.1.1:
+ * - Refunds carry the original document's tax: a full refund mirrors every
+ *   line (items, fees, shipping, discounts) with its TaxCodeRef plus the
+ *   TxnTaxDetail; a partial refund splits the tax-inclusive amount into net
+ *   and tax in the document's tax ratio, so it totals exactly what was refunded
+ *
+ * CHANGELOG v1.1.0:
+ * - Refund documents re-dated by the closed-period guard keep the decision
+ *   (closedPeriod), so it lands in the sync history with the refund
+ *
+ * - Paid order (Sales Receipt)   → Refund Receipt, paid from the receipt's deposit account
+ * - Paylater order (Invoice)     → Credit Memo, applied to the invoice's open balance
+ *
+ * Paylater refund amount: each refunded product line is re-priced at the
+ * invoice's UnitPrice for its QB item (WooCommerce shows it at $0), and the
+ * rest of refund.total (fees, shipping, tax) is kept as refunded.
+ *
+ * A refund equal to the full document total mirrors the original lines and
+ * tax. Partial refunds post a single line for the refunded amount against
+ * QB_ITEM_REFUND (or the original document's first item); WooCommerce refund
+ * totals include tax, so on a taxed document the line is the net share and
+ * the rest is refunded as tax.
+ */
+
+import {
+  getSalesReceipt,
+  getInvoice,
+  createRefundReceipt,
+  createCreditMemo,
+  createPayment
+} from './quickbooks.js';
+import { recordRefund } from './sync-ledger.js';
+import { getLineTaxCodeRef } from './tax-map.js';
+import { loadProductRegistry, mapProductToQuickBooks } from './product-map.js';
+import { getWooRefund } from './woo-api.js';
+import { buildSourceSnapshot, attachSourceSnapshot } from './source-snapshot.js';
+
+/**
+ * Get refunds from the order payload that haven't been posted yet
+ *
+ * $0 refunds are only dropped for Sales Receipts: on a paylater invoice (or
+ * an order not posted yet) a $0 refund may still credit items at QB prices.
+ *
+ * @param {Object|null} entry - Sync ledger entry for the order
+ * @param {Array} refunds - WooCommerce order refunds[] ({ id, reason, total })
+ * @returns {Array} Refunds not yet recorded in the ledger
+ */
+export function getPendingRefunds(entry, refunds = []) {
+  const posted = entry?.refunds || {};
+  const isReceipt = entry?.document?.type === 'SalesReceipt';
+
+  return (refunds || []).filter(refund =>
+    refund?.id && !posted[String(refund.id)] && (!isReceipt || getRefundAmount(refund) > 0)
+  );
+}
+
+/**
+ * Post pending refunds to QuickBooks and record each in the ledger
+ *
+ * Each refund is recorded as soon as it's created, so a failure part-way
+ * through only retries the refunds that are still missing.
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} entry - Sync ledger entry for the order
+ * @param {Array} refunds - Pending refunds (from getPendingRefunds)
+ * @returns {Array} Created refund documents
+ */
+export async function postRefunds(qb, entry, refunds) {
+  const original = entry.document;
+  const isInvoice = original.type === 'Invoice';
+
+  console.log(`\n↩️  POSTING ${refunds.length} REFUND(S) against ${original.type} ${original.id}...`);
+
+  const sourceDoc = isInvoice
+    ? await getInvoice(qb, original.id)
+    : await getSalesReceipt(qb, original.id);
+
+  if (isInvoice) {
+    await loadProductRegistry();
+  }
+
+  const results = [];
+
+  for (const refund of refunds) {
+    const amount = isInvoice
+      ? await getInvoiceRefundAmount(entry, sourceDoc, refund)
+      : getRefundAmount(refund);
+    console.log(`   Refund #${refund.id}: $${amount.toFixed(2)}${refund.reason ? ` (${refund.reason})` : ''}`);
+
+    if (!(amount > 0)) {
+      console.warn(`   ⚠ Refund #${refund.id} credits nothing in QuickBooks - recording as skipped`);
+      const skipped = { type: null, id: null, total: 0, skipped: 'Nothing to credit' };
+      await recordRefund(entry, refund.id, skipped);
+      results.push({ refundId: refund.id, ...skipped });
+      continue;
+    }
+
+    const document = isInvoice
+      ? await postCreditMemo(qb, entry, sourceDoc, refund, amount)
+      : await postRefundReceipt(qb, entry, sourceDoc, refund, amount);
+
+    await recordRefund(entry, refund.id, document);
+
+    // Keep what the refund was built from with every document it created (non-fatal)
+    const attachments = await attachSourceSnapshot(qb, buildSourceSnapshot({
+      source: 'woocommerce',
+      sourceId: `${entry.orderId}-refund-${refund.id}`,
+      record: { orderId: entry.orderId, original: entry.document, refund, amount },
+      document
+    }), [document, ...(document.paymentId ? [{ type: 'Payment', id: document.paymentId }] : [])]);
+
+    results.push({ refundId: refund.id, ...document, ...(attachments && { attachments }) });
+  }
+
+  return results;
+}
+
+/**
+ * Refund Receipt for a paid order
+ */
+async function postRefundReceipt(qb, entry, receipt, refund, amount) {
+  const refundData = {
+    CustomerRef: receipt.CustomerRef,
+    ...buildRefundBody(receipt, refund, amount),
+    PrivateNote: buildRefundNote(entry, refund),
+    DepositToAccountRef: receipt.DepositToAccountRef || { value: process.env.QB_DEPOSIT_ACCOUNT || '154' }
+  };
+
+  if (receipt.BillEmail) refundData.BillEmail = receipt.BillEmail;
+  if (receipt.PaymentMethodRef) refundData.PaymentMethodRef = receipt.PaymentMethodRef;
+
+  const refundReceipt = await createRefundReceipt(qb, refundData);
+  console.log(`   ✓ Refund Receipt created: #${refundReceipt.DocNumber || `ID:${refundReceipt.Id}`} ($${refundReceipt.TotalAmt})`);
+
+  return {
+    type: 'RefundReceipt',
+    id: String(refundReceipt.Id),
+    docNumber: refundReceipt.DocNumber || null,
+    total: refundReceipt.TotalAmt,
+    linkedTo: { type: 'SalesReceipt', id: String(receipt.Id) },
+    ...(refundReceipt.closedPeriod && { closedPeriod: refundReceipt.closedPeriod })
+  };
+}
+
+/**
+ * Credit Memo for a paylater order, applied to the invoice
+ */
+async function postCreditMemo(qb, entry, invoice, refund, amount) {
+  const creditMemoData = {
+    CustomerRef: invoice.CustomerRef,
+    ...buildRefundBody(invoice, refund, amount),
+    PrivateNote: buildRefundNote(entry, refund)
+  };
+
+  if (invoice.BillEmail) creditMemoData.BillEmail = invoice.BillEmail;
+
+  const creditMemo = await createCreditMemo(qb, creditMemoData);
+  console.log(`   ✓ Credit Memo created: #${creditMemo.DocNumber || `ID:${creditMemo.Id}`} ($${creditMemo.TotalAmt})`);
+
+  // Apply the credit to whatever is still open on the invoice
+  // (invoice may have been paid or credited since it was fetched)
+  const currentInvoice = await getInvoice(qb, invoice.Id);
+  const applyAmount = Math.min(creditMemo.TotalAmt, parseFloat(currentInvoice.Balance) || 0);
+  let paymentId = null;
+
+  if (applyAmount > 0) {
+    const payment = await createPayment(qb, {
+      CustomerRef: invoice.CustomerRef,
+      TotalAmt: 0,
+      Line: [
+        {
+          Amount: applyAmount,
+          LinkedTxn: [{ TxnId: String(invoice.Id), TxnType: 'Invoice' }]
+        },
+        {
+          Amount: applyAmount,
+          LinkedTxn: [{ TxnId: String(creditMemo.Id), TxnType: 'CreditMemo' }]
+        }
+      ],
+      PrivateNote: `Apply credit memo ${creditMemo.DocNumber || creditMemo.Id} to invoice ${invoice.DocNumber || invoice.Id}`
+    });
+    paymentId = String(payment.Id);
+    console.log(`   ✓ Credit applied to invoice: $${applyAmount.toFixed(2)} (Payment ID: ${payment.Id})`);
+  } else {
+    console.warn(`   ⚠ Invoice ${invoice.Id} has no open balance - credit left on customer account`);
+  }
+
+  return {
+    type: 'CreditMemo',
+    id: String(creditMemo.Id),
+    docNumber: creditMemo.DocNumber || null,
+    total: creditMemo.TotalAmt,
+    appliedAmount: applyAmount,
+    paymentId,
+    linkedTo: { type: 'Invoice', id: String(invoice.Id) },
+    ...(creditMemo.closedPeriod && { closedPeriod: creditMemo.closedPeriod })
+  };
+}
+
+/**
+ * Build refund lines (and tax) from the original document
+ * Full refund → mirror original lines and TxnTaxDetail; partial → single line for the amount
+ *
+ * @returns {Object} { Line, TxnTaxDetail } - TxnTaxDetail only when the original was taxed
+ */
+export function buildRefundBody(sourceDoc, refund, amount) {
+  const itemLines = (sourceDoc.Line || []).filter(line => line.DetailType === 'SalesItemLineDetail');
+  const reason = refund.reason ? ` - ${refund.reason}` : '';
+  const taxDetail = sourceDoc.TxnTaxDetail;
+  const totalTax = parseFloat(taxDetail?.TotalTax) || 0;
+
+  if (Math.abs(amount - parseFloat(sourceDoc.TotalAmt)) < 0.01 && itemLines.length > 0) {
+    return {
+      Line: itemLines.map(line => ({
+        Amount: line.Amount,
+        DetailType: 'SalesItemLineDetail',
+        SalesItemLineDetail: {
+          ItemRef: line.SalesItemLineDetail.ItemRef,
+          Qty: line.SalesItemLineDetail.Qty,
+          UnitPrice: line.SalesItemLineDetail.UnitPrice,
+          ...(line.SalesItemLineDetail.TaxCodeRef && { TaxCodeRef: line.SalesItemLineDetail.TaxCodeRef })
+        },
+        Description: `Refund: ${line.Description || line.SalesItemLineDetail.ItemRef.name || 'Item'}${reason}`
+      })),
+      ...(totalTax > 0 && {
+        TxnTaxDetail: {
+          TxnTaxCodeRef: taxDetail.TxnTaxCodeRef,
+          TotalTax: totalTax,
+          ...(taxDetail.TaxLine?.length && { TaxLine: taxDetail.TaxLine })
+        }
+      })
+    };
+  }
+
+  const itemRef = process.env.QB_ITEM_REFUND
+    ? { value: String(process.env.QB_ITEM_REFUND) }
+    : itemLines[0]?.SalesItemLineDetail?.ItemRef;
+
+  if (!itemRef) {
+    throw new Error(`Cannot post refund #${refund.id}: no QB_ITEM_REFUND and original document has no item lines`);
+  }
+
+  // Refund the tax in the same proportion the original document charged it
+  const tax = totalTax > 0
+    ? Math.round(amount * totalTax / parseFloat(sourceDoc.TotalAmt) * 100) / 100
+    : 0;
+  const net = Math.round((amount - tax) * 100) / 100;
+
+  return {
+    Line: [{
+      Amount: net,
+      DetailType: 'SalesItemLineDetail',
+      SalesItemLineDetail: {
+        ItemRef: { value: String(itemRef.value) },
+        Qty: 1,
+        UnitPrice: net,
+        ...(taxDetail && { TaxCodeRef: getLineTaxCodeRef(tax > 0) })
+      },
+      Description: `Partial refund${reason}`
+    }],
+    ...(tax > 0 && {
+      TxnTaxDetail: {
+        TxnTaxCodeRef: taxDetail.TxnTaxCodeRef,
+        TotalTax: tax
+      }
+    })
+  };
+}
+
+function buildRefundNote(entry, refund) {
+  return `WooCommerce Order #${entry.orderId} | Refund #${refund.id} | ` +
+    `Original ${entry.document.type} ${entry.document.docNumber || `ID:${entry.document.id}`}`;
+}
+
+/**
+ * Amount to credit on a paylater invoice for a WooCommerce refund
+ *
+ * Each refunded product line is re-priced at the invoice's UnitPrice for its
+ * QB item in place of its WooCommerce line total; the rest of refund.total
+ * (fees, shipping, tax) is kept. Refunds in the order payload carry no line
+ * items, so the refund is fetched from WooCommerce when needed.
+ *
+ * @param {Object} entry - Sync ledger entry for the order
+ * @param {Object} invoice - QB Invoice the order was posted as
+ * @param {Object} refund - WooCommerce refund ({ id, total, line_items? })
+ * @returns {number} Amount to credit
+ * @throws {Error} If a refunded product has no line on the invoice
+ */
+export async function getInvoiceRefundAmount(entry, invoice, refund) {
+  const lineItems = refund.line_items || (await getWooRefund(entry.orderId, refund.id)).line_items || [];
+  let amount = getRefundAmount(refund);
+
+  for (const item of lineItems) {
+    const quantity = Math.abs(parseFloat(item.quantity) || 0);
+    if (quantity === 0) continue;
+
+    const { qbItemId } = mapProductToQuickBooks(item.name, item.sku, {
+      productId: item.product_id,
+      variationId: item.variation_id
+    });
+    const invoiceLine = (invoice.Line || []).find(line =>
+      line.DetailType === 'SalesItemLineDetail' &&
+      qbItemId && String(line.SalesItemLineDetail?.ItemRef?.value) === String(qbItemId)
+    );
+
+    if (!invoiceLine) {
+      throw new Error(`Cannot price refund #${refund.id}: "${item.name}" has no line on invoice ${invoice.DocNumber || invoice.Id}`);
+    }
+
+    const unitPrice = parseFloat(invoiceLine.SalesItemLineDetail.UnitPrice) || 0;
+    amount += quantity * unitPrice - Math.abs(parseFloat(item.total) || 0);
+  }
+
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * WooCommerce reports refund totals as negative strings ("-25.00")
+ */
+function getRefundAmount(refund) {
+  return Math.abs(parseFloat(refund?.total) || 0);
+}
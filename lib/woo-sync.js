@@ -0,0 +1,670 @@
+/**
+ * WooCommerce Order → QuickBooks Posting
+ *
+ * @version 1.5.3
+ * @description The parse → validate → customer → document → ledger pipeline,
+ *              shared by the webhook (/api/woo-qb-sync) and backfill (/api/woo-backfill)
+ * @lastUpdated 2026-10-19
+ *
+ * CHANGELOG v1.5.3:
+ * - Added holdVoidForClosedPeriod(): a refused void is held with a summary
+ *   from the ledger entry, since order.deleted payloads only carry the ID
+ *
+ * CHANGELOG v1.5.2:
+ * - Added findLinkedDocument(): the QB document named in an order's meta is
+ *   fetched and checked (type known, exists, not voided) before it is adopted;
+ *   adoptLinkedOrder() takes the verified document
+ *
+ * CHANGELOG v1.5.1:
+ * - findOrderDocumentInQuickBooks() matches the parsed order total, so paylater
+ *   invoices (full price) missing from the ledger are found
+ *
+ * CHANGELOG v1.5.0:
+ * - Posted documents get a JSON snapshot of the order (and its Stripe
+ *   payment / fee) attached in QuickBooks (lib/source-snapshot.js)
+ *
+ * CHANGELOG v1.4.0:
+ * - Documents get a DocNumber from the woocommerce template (lib/doc-numbers.js);
+ *   an order whose number is already in QuickBooks is recorded, not posted again
+ * - findOrderDocumentInQuickBooks() looks the order up by DocNumber first
+ *
+ * CHANGELOG v1.3.0:
+ * - Orders dated in a closed QB period are re-dated or held for review
+ *   (QB_CLOSED_PERIOD_POLICY); the decision is recorded in the sync history
+ *
+ * CHANGELOG v1.2.0:
+ * - Added previewWooOrder() - the QB request body an order would post, without writing
+ *
+ * CHANGELOG v1.1.0:
+ * - Posted orders get a QB reference note + meta written back to WooCommerce
+ * - Added adoptLinkedOrder() for orders whose meta already names a QB document
+ *
+ * Callers own the sync lock and the ledger check: postWooOrder() expects a
+ * completed order with no ledger entry.
+ */
+
+import { parseWooCommerceOrder, validateOrderForQuickBooks } from './parse-order.js';
+import { loadProductRegistry } from './product-map.js';
+import {
+  getQBClient,
+  findOrCreateCustomer,
+  previewCustomer,
+  checkClosedPeriod,
+  createSalesReceipt,
+  createInvoice,
+  sendInvoice,
+  getSalesReceipt,
+  getInvoice,
+  findSalesReceipts,
+  findInvoices
+} from './quickbooks.js';
+import { postRefunds } from './woo-refunds.js';
+import { snapshotOrder } from './woo-order-update.js';
+import { buildInvoiceData, buildSalesReceiptData } from './woo-documents.js';
+import { customerIdentity } from './customer-links.js';
+import { holdOrder, clearHeldOrder } from './review-queue.js';
+import { resolvePaymentRouting } from './payment-routing.js';
+import { isStripeTransactionId, postStripeFeeSafely } from './stripe-fees.js';
+import { recordSync, saveSyncEntry, recordClosedPeriodDecision } from './sync-ledger.js';
+import { writeBackToWooCommerce } from './woo-writeback.js';
+import { assignDocNumber, findDocumentByDocNumber } from './doc-numbers.js';
+import { buildSourceSnapshot, attachSourceSnapshot } from './source-snapshot.js';
+
+export const LEDGER_SOURCE = 'woocommerce';
+
+// CustomerRef placeholder in previews when the customer doesn't exist yet
+const NEW_CUSTOMER_REF = '(new customer)';
+
+/**
+ * Post a completed WooCommerce order to QuickBooks
+ *
+ * @param {Object} payload - WooCommerce order (webhook body or REST API order)
+ * @param {Object} options
+ * @param {string} options.deliveryId - Webhook delivery ID (optional)
+ * @param {Array} options.pendingRefunds - Refunds to post after the document (from getPendingRefunds)
+ * @returns {Object} Result ({ success, orderId, document, ... }, or { held: true, reasons } if held for review)
+ */
+export async function postWooOrder(payload, { deliveryId = null, pendingRefunds = [] } = {}) {
+  // =========================================================================
+  // Step 4: Parse the WooCommerce order
+  // =========================================================================
+  
+  await loadProductRegistry();
+  const order = parseWooCommerceOrder(payload);
+  
+  console.log('\n📦 ORDER DETAILS:');
+  console.log(`   Order ID: ${order.orderId}`);
+  console.log(`   Customer: ${order.customer.displayName}`);
+  console.log(`   Email: ${order.customer.email}`);
+  console.log(`   Subtotal: $${order.subtotal}`);
+  console.log(`   Total: $${order.total}`);
+  console.log(`   Is Paylater: ${order.isPaylater}`);
+  console.log(`   Has Discount: ${order.discount.hasDiscount}`);
+  
+  if (order.discount.hasDiscount) {
+    console.log(`   Discount Amount: $${order.discount.amount}`);
+    order.discount.lines.forEach(coupon => {
+      console.log(`     Coupon ${coupon.code}: $${coupon.amount} → ${coupon.category || 'custom'} (QB item ${coupon.qbItemId || 'not set'})`);
+    });
+  }
+  
+  console.log(`   Line Items: ${order.lineItems.length}`);
+  order.lineItems.forEach((item, i) => {
+    console.log(`     ${i + 1}. ${item.name} x${item.quantity} @ $${item.unitPrice} = $${item.total}`);
+  });
+  
+  // Never guess a QB item - hold the order until an admin resolves it
+  const validation = validateOrderForQuickBooks(order);
+  if (!validation.valid) {
+    return holdForReview(order, validation.errors, payload, deliveryId);
+  }
+
+  // =========================================================================
+  // Step 5: Initialize QuickBooks client
+  // =========================================================================
+  
+  const qb = await getQBClient();
+  
+  // The DocNumber doubles as the idempotency key - if it's already taken by
+  // this order's document, QuickBooks has it (e.g. the ledger write failed)
+  const entityType = order.isPaylater ? 'Invoice' : 'SalesReceipt';
+  const numbering = await assignDocNumber(qb, {
+    source: LEDGER_SOURCE,
+    entityType,
+    values: docNumberValues(payload),
+    memo: orderMemo(order.orderId)
+  });
+  
+  if (numbering?.existing) {
+    return recordExistingDocument(order, entityType, numbering.existing, deliveryId);
+  }
+
+  // =========================================================================
+  // Step 6: Find or create customer in QuickBooks
+  // =========================================================================
+  
+  console.log('\n👤 PROCESSING CUSTOMER...');
+  const qbCustomer = await findOrCreateCustomer(
+    qb,
+    order.customer,
+    customerIdentity(LEDGER_SOURCE, order.customer.customerId)
+  );
+  console.log(`   QB Customer ID: ${qbCustomer.Id}`);
+  console.log(`   QB Customer Name: ${qbCustomer.DisplayName}`);
+
+  // =========================================================================
+  // Step 7: Create transaction based on payment type
+  // =========================================================================
+  
+  let document;
+  let payment = null;
+  
+  if (order.isPaylater) {
+    // Paylater coupon used = Create Invoice with payment terms (NET 30 by default)
+    console.log('\n📄 CREATING INVOICE...');
+    
+    // Build invoice data (paylater = full price, no discount shown)
+    const invoiceData = buildInvoiceData(qbCustomer, order);
+    if (numbering) invoiceData.DocNumber = numbering.docNumber;
+    
+    let invoice;
+    try {
+      invoice = await createInvoice(qb, invoiceData);
+    } catch (error) {
+      return holdForClosedPeriod(error, order, payload, deliveryId);
+    }
+    
+    console.log(`   Invoice ID: ${invoice.Id}`);
+    console.log(`   Invoice Number: ${invoice.DocNumber || 'auto-assigned'}`);
+    console.log(`   Date: ${invoice.TxnDate}`);
+    console.log(`   Due Date: ${invoice.DueDate}`);
+    console.log(`   Total: $${invoice.TotalAmt}`);
+    
+    // Auto-send the invoice (non-fatal if it fails)
+    console.log('\n📧 SENDING INVOICE...');
+    const sendResult = await sendInvoice(qb, invoice.Id, order.customer.email);
+    if (sendResult) {
+      console.log(`   ✓ Invoice sent to ${order.customer.email}`);
+    } else {
+      console.warn(`   ⚠ Could not auto-send invoice`);
+      console.warn(`   → Invoice was created successfully but needs manual sending from QuickBooks`);
+    }
+    
+    document = {
+      type: 'Invoice',
+      id: String(invoice.Id),
+      docNumber: invoice.DocNumber || null,
+      total: invoice.TotalAmt,
+      sent: !!sendResult,
+      ...(invoice.closedPeriod && { closedPeriod: invoice.closedPeriod })
+    };
+    
+  } else {
+    // Paid via Stripe = Create Sales Receipt (already paid)
+    console.log('\n🧾 CREATING SALES RECEIPT...');
+    
+    // Route to the PaymentMethod / deposit account for how the order was paid
+    payment = await resolvePaymentRouting(qb, order.paymentMethod);
+    
+    // Build receipt data (may include discount line)
+    const receiptData = buildSalesReceiptData(qbCustomer, order, payment);
+    if (numbering) receiptData.DocNumber = numbering.docNumber;
+    
+    // Log what we're sending
+    console.log(`   Line items: ${receiptData.Line.length}`);
+    receiptData.Line.forEach((line, i) => {
+      if (line.DetailType === 'SalesItemLineDetail') {
+        const isDiscount = line.Amount < 0;
+        console.log(`     ${i + 1}. ${line.Description}: ${isDiscount ? '-' : ''}$${Math.abs(line.Amount)}`);
+      }
+    });
+    
+    let receipt;
+    try {
+      receipt = await createSalesReceipt(qb, receiptData);
+    } catch (error) {
+      return holdForClosedPeriod(error, order, payload, deliveryId);
+    }
+    
+    console.log(`   Receipt ID: ${receipt.Id}`);
+    console.log(`   Receipt Number: ${receipt.DocNumber || 'auto-assigned'}`);
+    console.log(`   Date: ${receipt.TxnDate}`);
+    console.log(`   Total: $${receipt.TotalAmt}`);
+    
+    document = {
+      type: 'SalesReceipt',
+      id: String(receipt.Id),
+      docNumber: receipt.DocNumber || null,
+      total: receipt.TotalAmt,
+      paymentRoute: payment.route,
+      ...(payment.fallback.length > 0 && { routingWarnings: payment.fallback }),
+      ...(receipt.closedPeriod && { closedPeriod: receipt.closedPeriod })
+    };
+  }
+
+  // =========================================================================
+  // Step 8: Record in sync ledger + success response
+  // =========================================================================
+  
+  const result = {
+    success: true,
+    orderId: order.orderId,
+    isPaylater: order.isPaylater,
+    hasDiscount: order.discount.hasDiscount,
+    customerId: qbCustomer.Id,
+    document
+  };
+  
+  const entry = await recordSync(LEDGER_SOURCE, order.orderId, {
+    document,
+    result,
+    deliveryId,
+    snapshot: snapshotOrder(order)
+  });
+  
+  await clearHeldOrder(LEDGER_SOURCE, order.orderId);
+  
+  if (document.closedPeriod) {
+    await recordClosedPeriodDecision(LEDGER_SOURCE, order.orderId, document.closedPeriod, { document: document.id, deliveryId });
+  }
+  
+  // Let support staff (and later deliveries) see the QB document on the order
+  const wooWriteBack = await writeBackToWooCommerce(order.orderId, document, { customerId: qbCustomer.Id });
+  if (wooWriteBack) {
+    result.wooWriteBack = wooWriteBack;
+  }
+  
+  // Book the Stripe fee against the same clearing account (non-fatal)
+  if (payment && isStripeTransactionId(order.transactionId)) {
+    const stripeFee = await postStripeFeeSafely(qb, {
+      stripeId: order.transactionId,
+      sale: { source: LEDGER_SOURCE, orderId: order.orderId, ...document },
+      clearingAccountRef: payment.depositToAccountRef,
+      label: `WooCommerce Order #${order.orderId}`
+    });
+    
+    if (stripeFee) {
+      result.stripeFee = stripeFee;
+      if (entry) {
+        entry.stripeFee = stripeFee;
+        await saveSyncEntry(entry);
+      }
+    }
+  }
+  
+  // Keep what the document was built from with it, for audits (non-fatal)
+  const attachments = await attachSourceSnapshot(qb, buildSourceSnapshot({
+    source: LEDGER_SOURCE,
+    sourceId: order.orderId,
+    record: order,
+    stripe: isStripeTransactionId(order.transactionId)
+      ? { transactionId: order.transactionId, paymentMethod: order.paymentMethod, fee: result.stripeFee || null }
+      : null,
+    document
+  }), [document]);
+  
+  if (attachments) {
+    result.attachments = attachments;
+  }
+  
+  // Order was refunded before it reached us (e.g. a retry) - post those too
+  if (entry && pendingRefunds.length > 0) {
+    result.refunds = await postRefunds(qb, entry, pendingRefunds);
+  }
+  
+  return result;
+}
+
+/**
+ * Show what postWooOrder() would send to QuickBooks for an order
+ *
+ * Runs the same parse → customer → document steps, but only reads from
+ * QuickBooks: no customer is created or updated, nothing is posted, held or
+ * recorded. A customer that would be created shows as "(new customer)" in CustomerRef.
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} payload - WooCommerce order
+ * @returns {Object} { preview, orderId, flow, entity, requestBody, customer, paymentRoute, validation, warnings }
+ */
+export async function previewWooOrder(qb, payload) {
+  await loadProductRegistry();
+  const order = parseWooCommerceOrder(payload);
+  const validation = validateOrderForQuickBooks(order);
+  const warnings = [];
+
+  if (payload.status !== 'completed') {
+    warnings.push(`Order status is "${payload.status}" - only completed orders are posted`);
+  }
+  if (!validation.valid) {
+    warnings.push(...validation.errors.map(error => `Would be held for review: ${error}`));
+  }
+
+  const resolution = await previewCustomer(
+    qb,
+    order.customer,
+    customerIdentity(LEDGER_SOURCE, order.customer.customerId)
+  );
+  const qbCustomer = resolution.customer || { Id: NEW_CUSTOMER_REF, DisplayName: order.customer.displayName };
+
+  if (!resolution.customer) {
+    warnings.push(`No QuickBooks customer matches ${order.customer.email} - one would be created`);
+  }
+
+  const flow = order.isPaylater ? 'invoice' : 'sales-receipt';
+  let payment = null;
+  let requestBody = null;
+
+  try {
+    if (order.isPaylater) {
+      requestBody = buildInvoiceData(qbCustomer, order);
+    } else {
+      payment = await resolvePaymentRouting(qb, order.paymentMethod);
+      warnings.push(...payment.fallback);
+      requestBody = buildSalesReceiptData(qbCustomer, order, payment);
+    }
+  } catch (error) {
+    warnings.push(`Could not build the QuickBooks request: ${error.message}`);
+  }
+
+  if (requestBody) {
+    const numbering = await assignDocNumber(qb, {
+      source: LEDGER_SOURCE,
+      entityType: order.isPaylater ? 'Invoice' : 'SalesReceipt',
+      values: docNumberValues(payload),
+      memo: orderMemo(order.orderId)
+    });
+    if (numbering) {
+      requestBody.DocNumber = numbering.docNumber;
+    }
+    if (numbering?.existing) {
+      warnings.push(`Already in QuickBooks as ${numbering.docNumber} (ID ${numbering.existing.Id}) - would be recorded, not posted again`);
+    }
+
+    for (const coupon of order.discount.lines || []) {
+      if (coupon.amount > 0 && !coupon.qbItemId) {
+        warnings.push(`Coupon ${coupon.code} has no QB discount item - its discount line is left out`);
+      }
+    }
+
+    const closed = await checkClosedPeriod(qb, requestBody.TxnDate);
+    if (closed) {
+      warnings.push(closed.policy === 'hold'
+        ? `TxnDate ${closed.txnDate} is in a closed period (through ${closed.closedThrough}) - would be held for review`
+        : `TxnDate ${closed.txnDate} is in a closed period (through ${closed.closedThrough}) - would be re-dated to ${closed.firstOpenDate}`);
+    }
+
+    const lineTotal = requestBody.Line.reduce((sum, line) => sum + line.Amount, 0);
+    const qbTotal = Math.round((lineTotal + (requestBody.TxnTaxDetail?.TotalTax || 0)) * 100) / 100;
+    if (Math.abs(qbTotal - order.total) >= 0.01) {
+      warnings.push(`QB total $${qbTotal} does not match WooCommerce total $${order.total}`);
+    }
+  }
+
+  return {
+    preview: true,
+    orderId: order.orderId,
+    flow,
+    entity: order.isPaylater ? 'Invoice' : 'SalesReceipt',
+    requestBody,
+    customer: {
+      matchedBy: resolution.matchedBy,
+      id: resolution.customer ? String(resolution.customer.Id) : null,
+      displayName: qbCustomer.DisplayName,
+      ...(resolution.updates && { updates: resolution.updates }),
+      ...(resolution.newCustomer && { create: resolution.newCustomer })
+    },
+    ...(payment && { paymentRoute: payment.route }),
+    validation,
+    warnings
+  };
+}
+
+/**
+ * Fetch the QB document an order's WooCommerce meta names, if it can be adopted
+ *
+ * The meta is only a pointer: a document of unknown type, one that is gone,
+ * or one that was voided is not adopted - the order should be posted instead.
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} payload - WooCommerce order
+ * @param {Object} link - From getQuickBooksLink()
+ * @returns {Object|null} { type, id, docNumber, total, customerId }, or null if not adoptable
+ */
+export async function findLinkedDocument(qb, payload, link) {
+  const getDocument = { SalesReceipt: getSalesReceipt, Invoice: getInvoice }[link.type];
+  
+  if (!getDocument) {
+    console.warn(`   ⚠ Order #${payload.id} meta names QB document ${link.id} without a known type (${link.type}) - posting instead`);
+    return null;
+  }
+  
+  let doc;
+  try {
+    doc = await getDocument(qb, link.id);
+    if (!doc?.Id) throw new Error('not found');
+  } catch (error) {
+    console.warn(`   ⚠ Order #${payload.id} meta names ${link.type} ${link.id}, which could not be read - posting instead: ${error.message}`);
+    return null;
+  }
+  
+  if (isVoided(doc)) {
+    console.warn(`   ⚠ Order #${payload.id} meta names ${link.type} ${link.id}, which is voided - posting instead`);
+    return null;
+  }
+  
+  return {
+    type: link.type,
+    id: String(doc.Id),
+    docNumber: doc.DocNumber || null,
+    total: doc.TotalAmt,
+    customerId: doc.CustomerRef?.value || link.customerId || null
+  };
+}
+
+/**
+ * Record an order whose WooCommerce meta already names its QB document
+ * (e.g. the ledger entry was lost) instead of posting it again
+ *
+ * @param {Object} payload - WooCommerce order
+ * @param {Object} linked - Verified document from findLinkedDocument()
+ * @param {string} deliveryId - Webhook delivery ID (optional)
+ * @returns {Object} Result in the same shape as postWooOrder()
+ */
+export async function adoptLinkedOrder(payload, linked, deliveryId = null) {
+  console.log(`⏭ Order #${payload.id} is already linked to QB ${linked.type} ${linked.id} (order meta) - recording in ledger`);
+  
+  await loadProductRegistry();
+  const { customerId, ...document } = linked;
+  const result = {
+    success: true,
+    orderId: payload.id,
+    ...(customerId && { customerId }),
+    document,
+    adopted: true
+  };
+  
+  await recordSync(LEDGER_SOURCE, payload.id, {
+    document,
+    result,
+    deliveryId,
+    snapshot: snapshotOrder(parseWooCommerceOrder(payload))
+  });
+  
+  return result;
+}
+
+/**
+ * Hold an order in the review queue instead of posting it
+ *
+ * @returns {Object} { success, held, orderId, reasons, heldAt }
+ */
+export async function holdForReview(order, reasons, payload, deliveryId) {
+  return holdWithSummary(order.orderId, reasons, payload, deliveryId, {
+    orderNumber: order.orderNumber,
+    customer: order.customer.displayName,
+    email: order.customer.email,
+    total: order.total,
+    lines: order.lineItems.map(item => `${item.name}${item.sku ? ` (${item.sku})` : ''}`)
+  });
+}
+
+async function holdWithSummary(orderId, reasons, payload, deliveryId, summary) {
+  const held = await holdOrder(LEDGER_SOURCE, orderId, { reasons, payload, deliveryId, summary });
+  
+  console.log('\n' + '='.repeat(60));
+  console.log(`🛑 ORDER #${orderId} HELD FOR REVIEW`);
+  console.log('='.repeat(60));
+  
+  return {
+    success: true,
+    held: true,
+    orderId: String(orderId),
+    reasons,
+    heldAt: held.heldAt
+  };
+}
+
+/**
+ * Record a document QuickBooks already has for the order (found by DocNumber)
+ * instead of posting a second one
+ */
+async function recordExistingDocument(order, type, doc, deliveryId) {
+  console.log(`⏭ Order #${order.orderId} is already in QuickBooks as ${type} ${doc.DocNumber} (ID ${doc.Id}) - recording in ledger`);
+  
+  const document = { type, id: String(doc.Id), docNumber: doc.DocNumber || null, total: doc.TotalAmt };
+  const customerId = doc.CustomerRef?.value || null;
+  const result = {
+    success: true,
+    orderId: order.orderId,
+    ...(customerId && { customerId }),
+    document,
+    adopted: true
+  };
+  
+  await recordSync(LEDGER_SOURCE, order.orderId, {
+    document,
+    result,
+    deliveryId,
+    snapshot: snapshotOrder(order)
+  });
+  await clearHeldOrder(LEDGER_SOURCE, order.orderId);
+  
+  const wooWriteBack = await writeBackToWooCommerce(order.orderId, document, { customerId });
+  if (wooWriteBack) {
+    result.wooWriteBack = wooWriteBack;
+  }
+  
+  return result;
+}
+
+/**
+ * Hold an order whose document the closed-period guard refused to post
+ * (QB_CLOSED_PERIOD_POLICY=hold); any other error is rethrown
+ *
+ * @returns {Object} Held result from holdForReview()
+ */
+export async function holdForClosedPeriod(error, order, payload, deliveryId) {
+  if (!error.closedPeriod) throw error;
+  
+  await recordClosedPeriodDecision(LEDGER_SOURCE, order.orderId, error.closedPeriod, { deliveryId });
+  return holdForReview(order, [error.message], payload, deliveryId);
+}
+
+/**
+ * Hold a cancellation whose void the closed-period guard refused
+ *
+ * The summary comes from the ledger entry (order.deleted payloads carry only
+ * the order ID), and the held payload keeps the status so a release replays
+ * the void.
+ *
+ * @param {Error} error - From voidOrderDocument(); rethrown unless closedPeriod
+ * @param {Object} entry - Sync ledger entry for the order
+ * @param {Object} payload - WooCommerce payload (may be just { id })
+ * @param {string} status - 'cancelled', 'failed' or 'trash'
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {Object} Held result
+ */
+export async function holdVoidForClosedPeriod(error, entry, payload, status, deliveryId) {
+  if (!error.closedPeriod) throw error;
+  
+  const { snapshot } = entry;
+  await recordClosedPeriodDecision(LEDGER_SOURCE, entry.orderId, error.closedPeriod, { document: entry.document.id, deliveryId });
+  return holdWithSummary(entry.orderId, [error.message], { ...payload, status }, deliveryId, {
+    orderNumber: payload.number || entry.orderId,
+    customer: snapshot?.customer?.name || null,
+    email: snapshot?.customer?.email || null,
+    total: snapshot?.total ?? entry.document.total,
+    lines: (snapshot?.lines || []).map(line => `${line.name}${line.sku ? ` (${line.sku})` : ''}`),
+    document: `${entry.document.type} ${entry.document.docNumber || entry.document.id}`
+  });
+}
+
+/**
+ * Look for a QB document already posted for an order (e.g. before the sync
+ * ledger existed) by its DocNumber, then by its "WooCommerce Order #" memo
+ *
+ * @param {QuickBooks} qb - QuickBooks client
+ * @param {Object} payload - WooCommerce order
+ * @returns {Object|null} { type, id, docNumber, total } of the matching document
+ */
+export async function findOrderDocumentInQuickBooks(qb, payload) {
+  const memo = orderMemo(payload.id);
+  
+  for (const entityType of ['SalesReceipt', 'Invoice']) {
+    const doc = await findDocumentByDocNumber(qb, {
+      source: LEDGER_SOURCE,
+      entityType,
+      values: docNumberValues(payload),
+      memo
+    });
+    if (doc) {
+      return { type: entityType, id: String(doc.Id), docNumber: doc.DocNumber || null, total: doc.TotalAmt };
+    }
+  }
+  
+  // Compare against what the order posts as, not payload.total - paylater
+  // invoices are at full price while the WooCommerce total is discounted
+  const expectedTotal = parseWooCommerceOrder(payload).total;
+  const since = (payload.date_created || '').split('T')[0];
+  const criteria = [
+    { field: 'TotalAmt', value: String(expectedTotal), operator: '=' },
+    ...(since ? [{ field: 'TxnDate', value: since, operator: '>=' }] : [])
+  ];
+  
+  const candidates = [
+    ...(await findSalesReceipts(qb, criteria)).map(doc => ({ type: 'SalesReceipt', doc })),
+    ...(await findInvoices(qb, criteria)).map(doc => ({ type: 'Invoice', doc }))
+  ];
+  
+  const match = candidates.find(({ doc }) => doc.PrivateNote === memo);
+  if (!match) return null;
+  
+  return {
+    type: match.type,
+    id: String(match.doc.Id),
+    docNumber: match.doc.DocNumber || null,
+    total: match.doc.TotalAmt
+  };
+}
+
+/**
+ * QB zeroes voided transactions and prefixes their memo with "Voided"
+ */
+function isVoided(doc) {
+  return /^Voided\b/i.test(doc.PrivateNote || '');
+}
+
+function orderMemo(orderId) {
+  return `WooCommerce Order #${orderId}`;
+}
+
+/**
+ * DocNumber template values for an order (same for the webhook, backfill and preview)
+ */
+function docNumberValues(payload) {
+  return {
+    orderNumber: payload.number || payload.id,
+    orderId: payload.id,
+    date: payload.date_paid || payload.date_completed || payload.date_created
+  };
+}
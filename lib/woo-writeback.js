@@ -0,0 +1,131 @@
+/**
+ * QuickBooks → WooCommerce Write-back
+ *
+ * @version 1.0.0
+ * @description Records the QB document an order was posted as on the
+ *              WooCommerce order itself (private order note + order meta)
+ * @lastUpdated 2026-10-19
+ *
+ * Order meta (readable through the REST API and by other plugins):
+ *   _qb_document_type  - SalesReceipt | Invoice
+ *   _qb_document_id    - QB transaction ID
+ *   _qb_doc_number     - QB document number (if assigned)
+ *   _qb_customer_id    - QB customer ID
+ *   _qb_synced_at      - ISO timestamp
+ *
+ * The meta doubles as an idempotency marker: an order carrying _qb_document_id
+ * is never posted again, even if its sync ledger entry is gone.
+ *
+ * Environment Variables:
+ *   - WOO_API_URL / WOO_CONSUMER_KEY / WOO_CONSUMER_SECRET (write access)
+ *   - WOO_QB_WRITEBACK=off: Disable write-back
+ */
+
+import { wooRequest, getWooConfigStatus } from './woo-api.js';
+
+const META_KEYS = {
+  type: '_qb_document_type',
+  id: '_qb_document_id',
+  docNumber: '_qb_doc_number',
+  customerId: '_qb_customer_id',
+  syncedAt: '_qb_synced_at'
+};
+
+const QB_PAGES = {
+  SalesReceipt: 'salesreceipt',
+  Invoice: 'invoice'
+};
+
+/**
+ * Whether write-back is configured and enabled
+ */
+export function isWriteBackEnabled() {
+  return getWooConfigStatus().configured && process.env.WOO_QB_WRITEBACK !== 'off';
+}
+
+/**
+ * Read the QB document recorded on an order (webhook or REST payload)
+ *
+ * @param {Object} payload - WooCommerce order
+ * @returns {Object|null} { type, id, docNumber, customerId, syncedAt }
+ */
+export function getQuickBooksLink(payload) {
+  const meta = Object.fromEntries(
+    (payload?.meta_data || []).map(entry => [entry.key, entry.value])
+  );
+
+  if (!meta[META_KEYS.id]) return null;
+
+  return {
+    type: meta[META_KEYS.type] || null,
+    id: String(meta[META_KEYS.id]),
+    docNumber: meta[META_KEYS.docNumber] || null,
+    customerId: meta[META_KEYS.customerId] || null,
+    syncedAt: meta[META_KEYS.syncedAt] || null
+  };
+}
+
+/**
+ * Link to a document in the QuickBooks Online web app
+ *
+ * @param {Object} document - { type, id }
+ * @returns {string|null} URL
+ */
+export function getQuickBooksUrl(document) {
+  const page = QB_PAGES[document.type];
+  if (!page) return null;
+
+  const host = process.env.QB_ENVIRONMENT === 'sandbox' ? 'app.sandbox.qbo.intuit.com' : 'app.qbo.intuit.com';
+  return `https://${host}/app/${page}?txnId=${document.id}`;
+}
+
+/**
+ * Add the QB reference to a WooCommerce order (note + meta)
+ *
+ * Never throws: the QB document already exists, and a failed write-back
+ * must not fail (and so redeliver) the webhook.
+ *
+ * @param {string|number} orderId - WooCommerce order ID
+ * @param {Object} document - { type, id, docNumber, total }
+ * @param {Object} details - { customerId }
+ * @returns {Object|null} { noteId, meta: true }, { error }, or null when disabled
+ */
+export async function writeBackToWooCommerce(orderId, document, { customerId = null } = {}) {
+  if (!isWriteBackEnabled()) return null;
+
+  console.log(`\n🔗 WRITING QB REFERENCE TO WOOCOMMERCE ORDER #${orderId}...`);
+
+  try {
+    const url = getQuickBooksUrl(document);
+    const label = `${document.type === 'SalesReceipt' ? 'Sales Receipt' : document.type} ${document.docNumber ? `#${document.docNumber}` : `(ID ${document.id})`}`;
+
+    const { data: note } = await wooRequest(`/orders/${orderId}/notes`, {
+      method: 'POST',
+      body: {
+        note: `Posted to QuickBooks as ${label}` +
+          (document.total !== undefined ? ` - $${Number(document.total).toFixed(2)}` : '') +
+          (url ? `\n${url}` : ''),
+        customer_note: false
+      }
+    });
+
+    await wooRequest(`/orders/${orderId}`, {
+      method: 'PUT',
+      body: {
+        meta_data: [
+          { key: META_KEYS.type, value: document.type },
+          { key: META_KEYS.id, value: String(document.id) },
+          { key: META_KEYS.docNumber, value: document.docNumber || '' },
+          { key: META_KEYS.customerId, value: customerId ? String(customerId) : '' },
+          { key: META_KEYS.syncedAt, value: new Date().toISOString() }
+        ]
+      }
+    });
+
+    console.log(`   ✓ Order note ${note.id} added, QB meta saved`);
+    return { noteId: note.id, meta: true };
+  } catch (error) {
+    console.warn(`   ⚠ WooCommerce write-back failed for order #${orderId}: ${error.message}`);
+    return { error: error.message };
+  }
+}
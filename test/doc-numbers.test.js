@@ -0,0 +1,130 @@
+/**
+ * DocNumber templates, 21-character fitting and collisions (lib/doc-numbers.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignDocNumber, getDocNumberTemplate } from '../lib/doc-numbers.js';
+
+/**
+ * QuickBooks client stand-in holding documents in memory
+ * (DocNumber "=" and "LIKE prefix%" queries, as assignDocNumber sends them)
+ */
+function fakeQuickBooks(documents = []) {
+  const query = (criteria, callback) => {
+    const docNumber = criteria.find(criterion => criterion.field === 'DocNumber');
+    const matches = documents.filter(doc => docNumber.operator === 'LIKE'
+      ? doc.DocNumber.startsWith(docNumber.value.replace(/%$/, ''))
+      : doc.DocNumber === docNumber.value);
+    callback(null, { QueryResponse: { SalesReceipt: matches, Invoice: matches } });
+  };
+
+  return { findSalesReceipts: query, findInvoices: query };
+}
+
+const MEMO = 'WooCommerce Order #780';
+
+beforeEach(() => {
+  delete process.env.QB_DOCNUMBER_TEMPLATES;
+});
+
+test('renders the default woocommerce template', async () => {
+  const result = await assignDocNumber(fakeQuickBooks(), {
+    source: 'woocommerce', entityType: 'SalesReceipt', values: { orderNumber: '780' }, memo: MEMO
+  });
+
+  assert.deepEqual(result, { docNumber: 'WOO-780', existing: null });
+});
+
+test('QB_DOCNUMBER_TEMPLATES overrides a template, and "" turns numbering off', async () => {
+  process.env.QB_DOCNUMBER_TEMPLATES = JSON.stringify({ woocommerce: 'W{yyyymmdd}-{orderId}', ycbm: '' });
+
+  assert.equal(getDocNumberTemplate('ycbm'), null);
+  assert.equal(getDocNumberTemplate('ids'), 'IDS-{yyyymm}-{seq}');
+
+  const result = await assignDocNumber(fakeQuickBooks(), {
+    source: 'woocommerce', entityType: 'Invoice', values: { orderId: 780, date: '2026-10-19T10:00:00' }, memo: MEMO
+  });
+  assert.equal(result.docNumber, 'W20261019-780');
+});
+
+test('long values drop punctuation, then keep the end of the longest value', async () => {
+  const result = await assignDocNumber(fakeQuickBooks(), {
+    source: 'ycbm', entityType: 'Invoice', values: { bookingRef: 'ABCD-EFGH-IJKL-MNOP-QRST' }, memo: 'YCBM Booking: x'
+  });
+
+  assert.equal(result.docNumber, 'YCBM-EFGHIJKLMNOPQRST');
+  assert.equal(result.docNumber.length, 21);
+});
+
+test('fitting is deterministic', async () => {
+  const params = { source: 'ycbm', entityType: 'Invoice', values: { bookingRef: 'X'.repeat(40) }, memo: 'm' };
+  const first = await assignDocNumber(fakeQuickBooks(), params);
+  const second = await assignDocNumber(fakeQuickBooks(), params);
+
+  assert.equal(first.docNumber, second.docNumber);
+});
+
+test('a number held by this order returns the existing document', async () => {
+  const posted = { Id: '9', DocNumber: 'WOO-780', PrivateNote: `${MEMO} | Stripe ch_1` };
+  const result = await assignDocNumber(fakeQuickBooks([posted]), {
+    source: 'woocommerce', entityType: 'SalesReceipt', values: { orderNumber: '780' }, memo: MEMO
+  });
+
+  assert.equal(result.docNumber, 'WOO-780');
+  assert.equal(result.existing, posted);
+});
+
+test('a number held by another document moves to the next free suffix', async () => {
+  const result = await assignDocNumber(fakeQuickBooks([
+    { Id: '1', DocNumber: 'WOO-780', PrivateNote: 'Manual entry' },
+    { Id: '2', DocNumber: 'WOO-780-2', PrivateNote: 'WooCommerce Order #7801' }
+  ]), {
+    source: 'woocommerce', entityType: 'SalesReceipt', values: { orderNumber: '780' }, memo: MEMO
+  });
+
+  assert.deepEqual(result, { docNumber: 'WOO-780-3', existing: null });
+});
+
+test('suffixes still fit in 21 characters', async () => {
+  const bookingRef = 'ABCDEFGHIJKLMNOPQRSTUV';
+  const taken = { Id: '1', DocNumber: 'YCBM-GHIJKLMNOPQRSTUV', PrivateNote: 'other' };
+  const result = await assignDocNumber(fakeQuickBooks([taken]), {
+    source: 'ycbm', entityType: 'Invoice', values: { bookingRef }, memo: 'YCBM Booking: mine'
+  });
+
+  assert.equal(result.docNumber, 'YCBM-IJKLMNOPQRSTUV-2');
+  assert.equal(result.docNumber.length, 21);
+});
+
+test('gives up after nine taken suffixes', async () => {
+  const documents = ['WOO-780', ...[2, 3, 4, 5, 6, 7, 8, 9].map(n => `WOO-780-${n}`)]
+    .map((DocNumber, index) => ({ Id: String(index), DocNumber, PrivateNote: 'other' }));
+
+  await assert.rejects(
+    assignDocNumber(fakeQuickBooks(documents), {
+      source: 'woocommerce', entityType: 'SalesReceipt', values: { orderNumber: '780' }, memo: MEMO
+    }),
+    /No free DocNumber for WOO-780/
+  );
+});
+
+test('{seq} takes the next number after the highest one used', async () => {
+  const result = await assignDocNumber(fakeQuickBooks([
+    { Id: '1', DocNumber: 'IDS-202609-001' },
+    { Id: '2', DocNumber: 'IDS-202609-007' },
+    { Id: '3', DocNumber: 'IDS-202609-ABC' }
+  ]), {
+    source: 'ids', entityType: 'Invoice', values: { date: '2026-09-01' }
+  });
+
+  assert.deepEqual(result, { docNumber: 'IDS-202609-008', existing: null });
+});
+
+test('{seq} starts at 001 in a new period', async () => {
+  const result = await assignDocNumber(fakeQuickBooks([{ Id: '1', DocNumber: 'IDS-202608-004' }]), {
+    source: 'ids', entityType: 'Invoice', values: { date: '2026-09-01' }
+  });
+
+  assert.equal(result.docNumber, 'IDS-202609-001');
+});
@@ -0,0 +1,53 @@
+/**
+ * Sales tax mapping and TxnTaxDetail (lib/tax-map.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTxnTaxDetail, getTaxCodeConflict, getUnmappedTaxRates } from '../lib/tax-map.js';
+
+function taxedOrder(lines) {
+  return { tax: { total: lines.reduce((sum, line) => sum + line.amount, 0), lines } };
+}
+
+const stateLine = { rateId: 1, label: 'CA', amount: 6, qbTaxCodeId: '3', qbTaxRateId: '5', ratePercent: 6, netAmountTaxable: 100 };
+const cityLine = { rateId: 2, label: 'CITY', amount: 2.25, qbTaxCodeId: '3', qbTaxRateId: '6', ratePercent: 2.25, netAmountTaxable: 100 };
+
+beforeEach(() => {
+  delete process.env.QB_TAX_RATE_MAP;
+});
+
+test('untaxed orders get no TxnTaxDetail', () => {
+  assert.equal(buildTxnTaxDetail({ tax: { total: 0, lines: [] } }), null);
+  assert.equal(getUnmappedTaxRates({ tax: { total: 0, lines: [{ ...stateLine, qbTaxCodeId: null }] } }), null);
+});
+
+test('TotalTax is the store amount, with one TaxLine per rate', () => {
+  const detail = buildTxnTaxDetail(taxedOrder([stateLine, cityLine]));
+
+  assert.deepEqual(detail.TxnTaxCodeRef, { value: '3' });
+  assert.equal(detail.TotalTax, 8.25);
+  assert.deepEqual(detail.TaxLine.map(line => line.TaxLineDetail.TaxRateRef.value), ['5', '6']);
+});
+
+test('the per-rate breakdown is left out unless every rate maps to a QB TaxRate', () => {
+  const detail = buildTxnTaxDetail(taxedOrder([stateLine, { ...cityLine, qbTaxRateId: null }]));
+
+  assert.equal(detail.TaxLine, undefined);
+  assert.equal(detail.TotalTax, 8.25);
+});
+
+test('an unmapped rate is reported for validation and refused when building', () => {
+  const order = taxedOrder([stateLine, { ...cityLine, qbTaxCodeId: null }]);
+
+  assert.equal(getUnmappedTaxRates(order), '2 (CITY)');
+  assert.throws(() => buildTxnTaxDetail(order), /No QuickBooks tax mapping for WooCommerce tax rate\(s\): 2 \(CITY\)/);
+});
+
+test('rates mapped to different tax codes are a conflict', () => {
+  const order = taxedOrder([stateLine, { ...cityLine, qbTaxCodeId: '4' }]);
+
+  assert.equal(getTaxCodeConflict(order), '1 (CA) → 3, 2 (CITY) → 4');
+  assert.throws(() => buildTxnTaxDetail(order), /different QuickBooks tax codes/);
+  assert.equal(getTaxCodeConflict(taxedOrder([stateLine, cityLine])), null);
+});
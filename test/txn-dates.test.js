@@ -0,0 +1,59 @@
+/**
+ * QB TxnDate selection and time zones (lib/txn-dates.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOrderTxnDate, getBookingTxnDate, getStripeTxnDate, getInvoiceTerms } from '../lib/txn-dates.js';
+
+// 2026-10-20 02:30 UTC is the evening of 2026-10-19 in Chicago
+const EVENING_UTC = Date.parse('2026-10-20T02:30:00Z');
+
+beforeEach(() => {
+  delete process.env.QB_TIMEZONE;
+  delete process.env.QB_INVOICE_TERMS_DAYS;
+  delete process.env.QB_INVOICE_TERM_ID;
+});
+
+test('orders are dated paid, then completed, then created - as the store recorded it', () => {
+  const order = { datePaid: '2026-09-30T23:30:00', dateCompleted: '2026-10-01T09:00:00', dateCreated: '2026-09-29T08:00:00' };
+
+  assert.equal(getOrderTxnDate(order), '2026-09-30');
+  assert.equal(getOrderTxnDate({ ...order, datePaid: null }), '2026-10-01');
+  assert.equal(getOrderTxnDate({ dateCreated: '2026-09-29T08:00:00' }), '2026-09-29');
+});
+
+test('bookings use the Stripe payment time in QB_TIMEZONE', () => {
+  process.env.QB_TIMEZONE = 'America/Chicago';
+  const booking = { bookedAt: '2026-10-18T15:00:00Z', timeZone: 'Europe/London' };
+
+  assert.equal(getBookingTxnDate(booking, { created: EVENING_UTC / 1000 }), '2026-10-19');
+});
+
+test('bookings fall back to the booked time, in the booking time zone without QB_TIMEZONE', () => {
+  const booking = { bookedAt: '2026-10-20T02:30:00Z', timeZone: 'America/Los_Angeles' };
+
+  assert.equal(getBookingTxnDate(booking), '2026-10-19');
+  assert.equal(getBookingTxnDate({ bookedAt: '2026-10-20T02:30:00Z' }), '2026-10-20');
+});
+
+test('an unknown time zone falls back to UTC', () => {
+  process.env.QB_TIMEZONE = 'Not/AZone';
+
+  assert.equal(getStripeTxnDate(EVENING_UTC / 1000), '2026-10-20');
+});
+
+test('Stripe timestamps are dated in QB_TIMEZONE, else UTC', () => {
+  assert.equal(getStripeTxnDate(EVENING_UTC / 1000), '2026-10-20');
+
+  process.env.QB_TIMEZONE = 'America/Chicago';
+  assert.equal(getStripeTxnDate(EVENING_UTC / 1000), '2026-10-19');
+});
+
+test('invoice due date is 30 days out by default, across month and year ends', () => {
+  assert.deepEqual(getInvoiceTerms('2026-12-15'), { DueDate: '2027-01-14' });
+
+  process.env.QB_INVOICE_TERMS_DAYS = '0';
+  process.env.QB_INVOICE_TERM_ID = '3';
+  assert.deepEqual(getInvoiceTerms('2026-09-30'), { DueDate: '2026-09-30', SalesTermRef: { value: '3' } });
+});
@@ -0,0 +1,122 @@
+/**
+ * Refund amounts and refund document bodies (lib/woo-refunds.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.QB_ITEM_BST = '21';
+process.env.QB_ITEM_ADD = '22';
+delete process.env.QB_ITEM_REFUND;
+
+const { getPendingRefunds, buildRefundBody, getInvoiceRefundAmount } = await import('../lib/woo-refunds.js');
+
+function itemLine(itemId, amount, extra = {}) {
+  return {
+    Amount: amount,
+    DetailType: 'SalesItemLineDetail',
+    Description: `Item ${itemId}`,
+    SalesItemLineDetail: { ItemRef: { value: itemId }, Qty: 1, UnitPrice: amount, ...extra }
+  };
+}
+
+const taxedReceipt = {
+  Id: '9',
+  TotalAmt: 108.25,
+  TxnTaxDetail: { TxnTaxCodeRef: { value: '3' }, TotalTax: 8.25, TaxLine: [{ Amount: 8.25 }] },
+  Line: [
+    itemLine('21', 90, { TaxCodeRef: { value: 'TAX' } }),
+    itemLine('30', 15, { TaxCodeRef: { value: 'TAX' } }),
+    itemLine('40', -5, { TaxCodeRef: { value: 'TAX' } }),
+    { Amount: 100, DetailType: 'SubTotalLineDetail' }
+  ]
+};
+
+const paylaterInvoice = {
+  Id: '12',
+  DocNumber: 'WOO-780',
+  TotalAmt: 1849,
+  Line: [itemLine('21', 1750), itemLine('22', 99)]
+};
+
+test('getPendingRefunds skips refunds already in the ledger', () => {
+  const entry = { document: { type: 'Invoice' }, refunds: { 5: { type: 'CreditMemo', id: '1' } } };
+  const pending = getPendingRefunds(entry, [{ id: 5, total: '-10.00' }, { id: 6, total: '-10.00' }]);
+  assert.deepEqual(pending.map(refund => refund.id), [6]);
+});
+
+test('getPendingRefunds drops $0 refunds only against Sales Receipts', () => {
+  const refunds = [{ id: 7, total: '0.00' }];
+  assert.equal(getPendingRefunds({ document: { type: 'SalesReceipt' } }, refunds).length, 0);
+  assert.equal(getPendingRefunds({ document: { type: 'Invoice' } }, refunds).length, 1);
+  assert.equal(getPendingRefunds(null, refunds).length, 1);
+});
+
+test('full refund mirrors every line with its tax code, plus the tax', () => {
+  const body = buildRefundBody(taxedReceipt, { id: 1, reason: 'Cancelled' }, 108.25);
+
+  assert.equal(body.Line.length, 3);
+  assert.deepEqual(body.Line.map(line => line.Amount), [90, 15, -5]);
+  assert.ok(body.Line.every(line => line.SalesItemLineDetail.TaxCodeRef.value === 'TAX'));
+  assert.equal(body.Line[0].Description, 'Refund: Item 21 - Cancelled');
+  assert.deepEqual(body.TxnTaxDetail, taxedReceipt.TxnTaxDetail);
+});
+
+test('partial refund of a taxed document splits the amount into net and tax', () => {
+  const body = buildRefundBody(taxedReceipt, { id: 2 }, 54.13);
+  const [line] = body.Line;
+
+  assert.equal(body.Line.length, 1);
+  assert.equal(body.TxnTaxDetail.TotalTax, 4.13);
+  assert.equal(line.Amount, 50);
+  assert.equal(line.SalesItemLineDetail.ItemRef.value, '21');
+  assert.equal(line.SalesItemLineDetail.TaxCodeRef.value, 'TAX');
+  assert.equal(Math.round((line.Amount + body.TxnTaxDetail.TotalTax) * 100) / 100, 54.13);
+});
+
+test('partial refund of an untaxed document is one line with no tax', () => {
+  const body = buildRefundBody(paylaterInvoice, { id: 3 }, 40);
+
+  assert.equal(body.TxnTaxDetail, undefined);
+  assert.equal(body.Line[0].Amount, 40);
+  assert.equal(body.Line[0].SalesItemLineDetail.TaxCodeRef, undefined);
+});
+
+test('partial refund uses QB_ITEM_REFUND when set', () => {
+  process.env.QB_ITEM_REFUND = '99';
+  try {
+    const body = buildRefundBody(paylaterInvoice, { id: 4 }, 40);
+    assert.equal(body.Line[0].SalesItemLineDetail.ItemRef.value, '99');
+  } finally {
+    delete process.env.QB_ITEM_REFUND;
+  }
+});
+
+test('paylater refund is priced at the invoice price, not the $0 WooCommerce line', async () => {
+  const refund = {
+    id: 55,
+    total: '0.00',
+    line_items: [{ name: 'Building Strong Teams', sku: 'BST-001', product_id: 1, variation_id: 0, quantity: -1, total: '0.00' }]
+  };
+
+  assert.equal(await getInvoiceRefundAmount({ orderId: '780' }, paylaterInvoice, refund), 1750);
+});
+
+test('paylater refund keeps the non-product part of refund.total', async () => {
+  const refund = {
+    id: 56,
+    total: '-25.00',
+    line_items: [{ name: 'Additional Team Member', sku: 'BST-ADD', quantity: -2, total: '0.00' }]
+  };
+
+  assert.equal(await getInvoiceRefundAmount({ orderId: '780' }, paylaterInvoice, refund), 223);
+});
+
+test('paylater refund of an item not on the invoice fails', async () => {
+  const refund = { id: 57, total: '0.00', line_items: [{ name: 'Unknown', sku: 'NOPE', quantity: -1, total: '0.00' }] };
+
+  await assert.rejects(
+    getInvoiceRefundAmount({ orderId: '780' }, paylaterInvoice, refund),
+    /Cannot price refund #57/
+  );
+});